@@ -0,0 +1,364 @@
+// Accessible name computation for EasyKeyNav
+// Loaded as a plain script before content.js, so everything here is a global.
+//
+// Follows the W3C Accessible Name and Description Computation 1.2
+// (https://www.w3.org/TR/accname-1.2/) and the HTML-AAM rules for native elements, so the
+// names EasyKeyNav announces and lists match what screen readers report.
+
+// Roles whose name can come from their content (accname step 2F)
+const NAME_FROM_CONTENT_ROLES = [
+  'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link', 'menuitem',
+  'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row', 'rowheader', 'sectionhead',
+  'switch', 'tab', 'tooltip', 'treeitem'
+];
+
+// Roles of controls that contribute their value, not their name, when they are inside
+// another element's name (accname step 2E)
+const EMBEDDED_CONTROL_ROLES = ['textbox', 'searchbox', 'combobox', 'listbox', 'range', 'slider', 'spinbutton', 'progressbar', 'scrollbar', 'meter'];
+
+// Input types that are buttons, with the name browsers give them when they have no value
+const INPUT_BUTTON_DEFAULT_NAMES = {
+  submit: 'Submit',
+  reset: 'Reset',
+  button: '',
+  image: 'Submit'
+};
+
+/**
+ * Get the accessible name of an element, as a screen reader would report it
+ * @param {Element} element - The element
+ * @returns {string} - The name with whitespace collapsed, or an empty string if it has none
+ */
+function getAccessibleName(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+    return '';
+  }
+
+  const name = computeTextAlternative(element, {
+    root: element,
+    visited: new Set(),
+    inLabelledBy: false,
+    inContent: false,
+    includeHidden: false
+  });
+  return name.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Get the text a screen reader would read for an element, for elements such as a plain div
+ * that have no accessible name of their own
+ * @param {Element} element - The element
+ * @returns {string} - The element's name, or its content with hidden parts left out
+ */
+function getAccessibleText(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+    return '';
+  }
+
+  // Treating the element as part of another name lets any role take its name from content
+  const text = computeTextAlternative(element, {
+    root: element,
+    visited: new Set(),
+    inLabelledBy: false,
+    inContent: true,
+    includeHidden: false
+  });
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Get the role of an element, explicit or implied by its tag
+ * @param {Element} element - The element
+ * @returns {string} - The role, e.g. "button", "heading" or "generic"
+ */
+function getAccessibleRole(element) {
+  const explicitRole = (element.getAttribute('role') || '').trim().split(/\s+/)[0];
+  if (explicitRole) {
+    return explicitRole;
+  }
+
+  const tagName = element.tagName.toLowerCase();
+  switch (tagName) {
+    case 'a':
+    case 'area':
+      return element.hasAttribute('href') ? 'link' : 'generic';
+    case 'button':
+      return 'button';
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+      return 'heading';
+    case 'input': {
+      const type = (element.getAttribute('type') || 'text').toLowerCase();
+      if (type in INPUT_BUTTON_DEFAULT_NAMES) {
+        return 'button';
+      }
+      if (type === 'checkbox' || type === 'radio') {
+        return type;
+      }
+      if (type === 'range') {
+        return 'slider';
+      }
+      if (type === 'number') {
+        return 'spinbutton';
+      }
+      return element.hasAttribute('list') ? 'combobox' : type === 'search' ? 'searchbox' : 'textbox';
+    }
+    case 'select':
+      return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+    case 'textarea':
+      return 'textbox';
+    case 'option':
+      return 'option';
+    case 'summary':
+      return 'button';
+    case 'td':
+      return 'cell';
+    case 'th':
+      return element.getAttribute('scope') === 'row' ? 'rowheader' : 'columnheader';
+    case 'tr':
+      return 'row';
+    case 'img':
+      return element.getAttribute('alt') === '' ? 'presentation' : 'img';
+    default:
+      return 'generic';
+  }
+}
+
+/**
+ * Check whether a node is hidden from assistive technology
+ * @param {Element} element - The element
+ * @returns {boolean} - True if the element is not rendered, invisible or aria-hidden
+ */
+function isHiddenForAccessibleName(element) {
+  if (element.getAttribute('aria-hidden') === 'true' || element.hidden) {
+    return true;
+  }
+  const style = window.getComputedStyle(element);
+  return style.display === 'none' || style.visibility === 'hidden' || style.visibility === 'collapse';
+}
+
+/**
+ * Compute the text alternative of a node (accname step 2)
+ * @param {Node} node - The current node
+ * @param {Object} context - Traversal state: the root element, nodes already visited, and whether
+ *   this is part of an aria-labelledby traversal, a name-from-content traversal, or a hidden
+ *   subtree that was referenced directly
+ * @returns {string} - The text alternative (whitespace not yet collapsed)
+ */
+function computeTextAlternative(node, context) {
+  // 2G: Text nodes contribute their text
+  if (node.nodeType === Node.TEXT_NODE) {
+    return node.textContent;
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE || context.visited.has(node)) {
+    return '';
+  }
+  context.visited.add(node);
+
+  const element = node;
+  const tagName = element.tagName.toLowerCase();
+  if (tagName === 'script' || tagName === 'style' || tagName === 'template' || tagName === 'noscript') {
+    return '';
+  }
+
+  // 2A: Hidden nodes don't count, unless a hidden element was referenced directly
+  if (!context.includeHidden && isHiddenForAccessibleName(element)) {
+    return '';
+  }
+
+  // 2B: aria-labelledby, followed only from the start (not from inside another reference)
+  if (!context.inLabelledBy) {
+    const labelledBy = (element.getAttribute('aria-labelledby') || '').trim();
+    if (labelledBy) {
+      const root = element.getRootNode();
+      const referenced = labelledBy.split(/\s+/)
+        .map(id => root.getElementById ? root.getElementById(id) : document.getElementById(id))
+        .filter(Boolean);
+      if (referenced.length > 0) {
+        const text = referenced.map(reference => computeTextAlternative(reference, {
+          root: context.root,
+          // Each reference is computed on its own, even if it is the element itself
+          visited: new Set(),
+          inLabelledBy: true,
+          inContent: true,
+          includeHidden: context.includeHidden || isHiddenForAccessibleName(reference)
+        }).trim()).filter(Boolean).join(' ');
+        if (text.trim()) {
+          return text;
+        }
+      }
+    }
+  }
+
+  const role = getAccessibleRole(element);
+  const isEmbeddedControl = element !== context.root && (
+    EMBEDDED_CONTROL_ROLES.includes(role) ||
+    ((tagName === 'input' || tagName === 'textarea' || tagName === 'select') && role !== 'button' && role !== 'checkbox' && role !== 'radio'));
+
+  // 2C: aria-label, except on controls inside another element's name, which use their value
+  const ariaLabel = (element.getAttribute('aria-label') || '').trim();
+  if (ariaLabel && !(context.inContent && isEmbeddedControl)) {
+    return ariaLabel;
+  }
+
+  // 2E: Controls inside another element's name contribute their value
+  if (context.inContent && isEmbeddedControl) {
+    return getEmbeddedControlValue(element, role);
+  }
+
+  // 2D: Native labels (label, alt, legend, caption, ...), unless the element is presentational
+  if (role !== 'presentation' && role !== 'none') {
+    const nativeName = getNativeTextAlternative(element, context);
+    if (nativeName.trim()) {
+      return nativeName;
+    }
+  }
+
+  // 2F: Name from content, for roles that allow it and for content inside another name
+  if (context.inContent || NAME_FROM_CONTENT_ROLES.includes(role)) {
+    const text = getTextFromContent(element, context);
+    if (text.trim()) {
+      return text;
+    }
+  }
+
+  // 2I: Tooltip, then placeholder for text fields (HTML-AAM)
+  const title = (element.getAttribute('title') || '').trim();
+  if (title) {
+    return title;
+  }
+  if (element === context.root) {
+    return (element.getAttribute('placeholder') || element.getAttribute('aria-placeholder') || '').trim();
+  }
+  return '';
+}
+
+/**
+ * Get the value a control contributes to another element's name (accname step 2E)
+ * @param {Element} element - The control
+ * @param {string} role - The control's role
+ * @returns {string} - The value
+ */
+function getEmbeddedControlValue(element, role) {
+  if (role === 'textbox' || role === 'searchbox') {
+    return element.value !== undefined ? element.value : element.textContent;
+  }
+
+  if (role === 'combobox' || role === 'listbox') {
+    if (element.tagName === 'SELECT') {
+      return Array.from(element.selectedOptions || []).map(option => option.textContent).join(' ');
+    }
+    if (element.tagName === 'INPUT') {
+      return element.value;
+    }
+    const selected = element.querySelectorAll('[role="option"][aria-selected="true"]');
+    return Array.from(selected).map(option => getAccessibleName(option)).join(' ');
+  }
+
+  // Range widgets: aria-valuetext, then aria-valuenow, then the native value
+  return element.getAttribute('aria-valuetext') || element.getAttribute('aria-valuenow') || (element.value !== undefined ? String(element.value) : '');
+}
+
+/**
+ * Get the name an element gets from native HTML (HTML-AAM), such as its label or alt text
+ * @param {Element} element - The element
+ * @param {Object} context - Traversal state (see computeTextAlternative)
+ * @returns {string} - The native name, or an empty string
+ */
+function getNativeTextAlternative(element, context) {
+  const tagName = element.tagName.toLowerCase();
+  const childContext = { ...context, inContent: true };
+
+  // Form controls are named by their <label> elements
+  if (element.labels && element.labels.length > 0 && !(tagName === 'input' && element.type === 'hidden')) {
+    const text = Array.from(element.labels)
+      .map(label => computeTextAlternative(label, { ...childContext, visited: new Set([element]) }).trim())
+      .filter(Boolean)
+      .join(' ');
+    if (text) {
+      return text;
+    }
+  }
+
+  if (tagName === 'input') {
+    const type = (element.getAttribute('type') || 'text').toLowerCase();
+    if (type === 'image') {
+      return element.getAttribute('alt') || element.getAttribute('value') || element.getAttribute('title') || INPUT_BUTTON_DEFAULT_NAMES.image;
+    }
+    if (type in INPUT_BUTTON_DEFAULT_NAMES) {
+      return element.getAttribute('value') || INPUT_BUTTON_DEFAULT_NAMES[type];
+    }
+    return '';
+  }
+
+  if (tagName === 'img' || tagName === 'area') {
+    return element.getAttribute('alt') || '';
+  }
+
+  // Groups and tables are named by their first legend, caption or figcaption
+  const captionTags = { fieldset: 'LEGEND', figure: 'FIGCAPTION', table: 'CAPTION' };
+  if (captionTags[tagName]) {
+    const caption = Array.from(element.children).find(child => child.tagName === captionTags[tagName]);
+    return caption ? computeTextAlternative(caption, childContext) : '';
+  }
+
+  // SVG is named by its <title> child
+  if (tagName === 'svg') {
+    const svgTitle = Array.from(element.children).find(child => child.tagName.toLowerCase() === 'title');
+    return svgTitle ? svgTitle.textContent : '';
+  }
+
+  return '';
+}
+
+/**
+ * Build a name from an element's content, including CSS generated content and the
+ * composed tree (shadow roots and slotted content)
+ * @param {Element} element - The element
+ * @param {Object} context - Traversal state (see computeTextAlternative)
+ * @returns {string} - The text
+ */
+function getTextFromContent(element, context) {
+  const childContext = { ...context, inContent: true };
+  const parts = [getGeneratedContent(element, '::before')];
+
+  let children;
+  if (element.shadowRoot) {
+    children = element.shadowRoot.childNodes;
+  } else if (element.tagName === 'SLOT') {
+    const assigned = element.assignedNodes({ flatten: true });
+    children = assigned.length > 0 ? assigned : element.childNodes;
+  } else {
+    children = element.childNodes;
+  }
+
+  Array.from(children).forEach(child => {
+    const text = computeTextAlternative(child, childContext);
+    // Block-level children are separate words, as screen readers read them
+    if (child.nodeType === Node.ELEMENT_NODE && !window.getComputedStyle(child).display.startsWith('inline')) {
+      parts.push(` ${text} `);
+    } else {
+      parts.push(text);
+    }
+  });
+
+  parts.push(getGeneratedContent(element, '::after'));
+  return parts.join('');
+}
+
+/**
+ * Get the text that CSS adds with ::before or ::after
+ * @param {Element} element - The element
+ * @param {string} pseudo - '::before' or '::after'
+ * @returns {string} - The generated text, or an empty string
+ */
+function getGeneratedContent(element, pseudo) {
+  const content = window.getComputedStyle(element, pseudo).content;
+  // Only quoted strings are text; counters, images and "none" are ignored
+  const match = /^"(.*)"$/.exec(content || '');
+  return match ? match[1] : '';
+}
@@ -1,9 +1,129 @@
 // Background service worker for EasyKeyNav
+//
+// Settings are coordinated here: the popup, the options page and content scripts send their
+// changes to this worker, which writes them to chrome.storage.sync. Every content script (in
+// every tab and frame) listens to chrome.storage.onChanged and applies the new values, so a
+// change made anywhere reaches all open pages without a reload.
 
-chrome.runtime.onInstalled.addListener(() => {
+importScripts('siterules.js');
+
+// Settings that may be written with updateSettings
+const SETTING_KEYS = ['enabled', 'debugMode', 'announcements', 'pageChangeFocus', 'focusHistoryAll', 'skipLinkTargets', 'keyBindings'];
+
+// Writes are queued so read-modify-write updates (such as siteRules) coming from the popup,
+// the options page and several tabs at once can't overwrite each other
+let settingsQueue = Promise.resolve();
+
+/**
+ * Run a settings update after any updates already in progress
+ * @param {Function} update - Returns a promise that resolves with the response to send
+ * @returns {Promise} - Resolves with the update's result
+ */
+function queueSettingsUpdate(update) {
+  const result = settingsQueue.then(update);
+  // Keep the queue going even if this update fails
+  settingsQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Save settings
+ * @param {Object} settings - Setting name to new value
+ * @returns {Promise<Object>} - Resolves with the saved settings
+ */
+function updateSettings(settings) {
+  const changes = {};
+  Object.keys(settings).forEach(key => {
+    if (SETTING_KEYS.includes(key)) {
+      changes[key] = settings[key];
+    }
+  });
+
+  return queueSettingsUpdate(async () => {
+    await chrome.storage.sync.set(changes);
+
+    // The hint mode key used to be stored on its own; it is part of keyBindings now
+    if ('keyBindings' in changes) {
+      await chrome.storage.sync.remove('hintModeKey');
+    }
+
+    return changes;
+  });
+}
+
+/**
+ * Set or remove the rule for one site
+ * @param {string} origin - The site's origin, e.g. "https://mail.google.com"
+ * @param {string} mode - "enabled", "disabled", "modifierOnly", or "default" to remove the rule
+ * @returns {Promise<Object>} - Resolves with all site rules after the change
+ */
+function updateSiteRule(origin, mode) {
+  if (getSiteRuleOrigin(origin) !== origin || !SITE_MODES.some(siteMode => siteMode.id === mode)) {
+    return Promise.reject(new Error(`Invalid site rule: ${origin} ${mode}`));
+  }
+
+  return queueSettingsUpdate(async () => {
+    const result = await chrome.storage.sync.get(['siteRules']);
+    const siteRules = result.siteRules || {};
+
+    if (mode === 'default') {
+      delete siteRules[origin];
+    } else {
+      siteRules[origin] = mode;
+    }
+
+    await chrome.storage.sync.set({ siteRules: siteRules });
+    return siteRules;
+  });
+}
+
+// Browser commands (manifest.json "commands") and the content script command each one runs.
+// The browser handles these keys before the page sees them, so they work even on pages that
+// swallow keydown events. Users can change them at chrome://extensions/shortcuts.
+const BROWSER_COMMANDS = {
+  'open-help': 'help',
+  'open-elements-list': 'elementsList',
+  'skip-to-main': 'mainContent'
+};
+
+/**
+ * Send a message to the top frame of a tab, which handles the page and its same-origin frames
+ * @param {number} tabId - The tab
+ * @param {Object} message - The message
+ */
+function sendToTopFrame(tabId, message) {
+  chrome.tabs.sendMessage(tabId, message, { frameId: 0 }, () => {
+    // Handle any errors silently (content script may not be loaded on some pages)
+    if (chrome.runtime.lastError) {
+      console.log('Could not send message to content script:', chrome.runtime.lastError.message);
+    }
+  });
+}
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command === 'toggle-extension') {
+    const result = await chrome.storage.sync.get(['enabled']);
+    const enabled = result.enabled === false;
+    await updateSettings({ enabled: enabled });
+
+    // Every tab picks up the change from storage; the active tab also says what happened
+    if (tab?.id) {
+      sendToTopFrame(tab.id, { action: 'toggleAnnouncement', enabled: enabled });
+    }
+    return;
+  }
+
+  if (BROWSER_COMMANDS[command] && tab?.id) {
+    sendToTopFrame(tab.id, { action: 'runCommand', command: BROWSER_COMMANDS[command] });
+  }
+});
+
+chrome.runtime.onInstalled.addListener((details) => {
   console.log('EasyKeyNav extension installed');
-  // Set default state
-  chrome.storage.sync.set({ enabled: true });
+  // Set default state (only on first install, so updates keep the user's choice)
+  if (details.reason === 'install') {
+    chrome.storage.sync.set({ enabled: true });
+  }
 });
 
 // Listen for messages from popup or content scripts
@@ -14,4 +134,18 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     });
     return true; // Keep the message channel open for async response
   }
+
+  if (request.action === 'updateSettings') {
+    updateSettings(request.settings || {})
+      .then(settings => sendResponse({ success: true, settings: settings }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Keep the message channel open for async response
+  }
+
+  if (request.action === 'setSiteMode') {
+    updateSiteRule(request.origin, request.mode)
+      .then(siteRules => sendResponse({ success: true, siteRules: siteRules }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Keep the message channel open for async response
+  }
 });
@@ -4,17 +4,43 @@
 // Cross-platform support: Works on Windows, macOS, and Linux
 // - Windows/Linux: Alt+Shift shortcuts
 // - macOS: Option+Shift shortcuts (Alt key = Option key)
-// - All platforms: h/Shift+H for heading navigation, l/Shift+L for landmark navigation
+// - All platforms: h/Shift+H for heading navigation, l/Shift+L for landmark navigation,
+//   k/Shift+K for link navigation, f/b/e for form fields, buttons and edit fields
 
-let isEnabled = true;
+let isEnabled = true; // The main on/off switch in the popup
+let siteMode = 'default'; // This site's rule (see siterules.js)
+let navigationActive = false;
 let skipLinksContainer = null;
-let currentHeadingIndex = -1;
-let lastHeadingsList = [];
-let currentLandmarkIndex = -1;
-let lastLandmarksList = [];
+let skipLinkTargets = resolveSkipLinkTargets(); // Will be loaded from storage (see skiplinks.js)
 let helpDialogOpen = false;
 let helpDialogElement = null;
+let elementsListOpen = false;
+let elementsListElement = null;
+let elementsListItems = [];
+let commandPaletteOpen = false;
+let commandPaletteElement = null;
+let commandPaletteItems = [];
+let commandPaletteActiveIndex = 0;
+let findBarOpen = false;
+let findBarElement = null;
+let findHighlightElement = null;
+let findCandidates = [];
+let findMatches = [];
+let findMatchIndex = -1;
+let marksDialogOpen = false;
+let marksDialogElement = null;
+let marksListMarks = {};
+let pendingMarkAction = null; // 'set' or 'jump' while waiting for the mark's letter
+let auditDialogOpen = false;
+let auditDialogElement = null;
+let auditReport = null;
 let lastFocusedElement = null;
+let hintModeActive = false;
+let hintOverlayElement = null;
+let hintTargets = [];
+let hintTypedText = '';
+let userKeyBindings = resolveKeyBindings(); // Will be loaded from storage (see keybindings.js)
+let keyBindings = userKeyBindings; // The user's bindings with this site's rule applied
 
 // Detect platform for cross-platform keyboard shortcut support
 // Use userAgentData when available, fallback to userAgent
@@ -23,6 +49,20 @@ const isMac = (navigator.userAgentData?.platform || navigator.userAgent).toUpper
 // Debug mode: Set to true to log focus changes (for development)
 let DEBUG_FOCUS = false; // Will be loaded from storage
 
+// Announcements: speak navigation results in a live region (can be turned off by users
+// whose screen reader already reads the focused element)
+let announcementsEnabled = true; // Will be loaded from storage
+let announcerElement = null;
+let announcementTimeout = null;
+let announcementWriteTimeout = null; // Pending write of the latest message (see announce)
+
+// Single-page apps: move focus to the new page's main heading after a client-side page change
+// (off by default, since the page itself may already manage focus)
+let pageChangeFocusEnabled = false; // Will be loaded from storage
+
+// Focus history: also remember focus moved by Tab and clicks, not only EasyKeyNav's own jumps
+let focusHistoryAllFocus = false; // Will be loaded from storage
+
 /**
  * Debug logger for focus changes (development only)
  * @param {string} action - Description of the action that caused the focus change
@@ -30,13 +70,13 @@ let DEBUG_FOCUS = false; // Will be loaded from storage
 function logFocusChange(action) {
   if (!DEBUG_FOCUS) return;
 
-  const activeEl = document.activeElement;
+  const activeEl = getDeepActiveElement();
   const tagName = activeEl.tagName.toLowerCase();
   const id = activeEl.id ? `#${activeEl.id}` : '';
   const classes = activeEl.className ? `.${activeEl.className.split(' ').join('.')}` : '';
   const role = activeEl.getAttribute('role') ? `[role="${activeEl.getAttribute('role')}"]` : '';
-  const text = activeEl.textContent ? activeEl.textContent.trim().substring(0, 30) : '';
-  const textPreview = text ? ` "${text}${text.length > 30 ? '...' : ''}"` : '';
+  const text = getElementText(activeEl);
+  const textPreview = text ? ` "${text.substring(0, 30)}${text.length > 30 ? '...' : ''}"` : '';
 
   console.log(`[EasyKeyNav Focus] ${action} -> <${tagName}${id}${classes}${role}>${textPreview}`);
 
@@ -84,44 +124,441 @@ function applyDebugScale(element) {
   element.addEventListener('blur', removeScale, { once: true });
 }
 
+/**
+ * Remove the debug scale effect from the currently scaled element
+ */
+function clearDebugScale() {
+  if (currentlyScaledElement) {
+    currentlyScaledElement.style.transform = '';
+    currentlyScaledElement.style.transition = '';
+    currentlyScaledElement = null;
+  }
+}
+
+// The content script runs in every frame, but only the top frame's copy is active. Same-origin
+// frames are handled by the top frame's script (which treats the page and its same-origin frames
+// as one sequence). Cross-origin frames (ads, video embeds, payment widgets) are left alone: they
+// would otherwise get their own skip links, announcer and key handlers, and their own origin's
+// site rule instead of the page's.
+const isNestedFrame = window.top !== window;
+
+// Frame documents that currently have EasyKeyNav's key listener attached
+const framesWithListeners = new Set();
+
+// Origin that this page's site rule is stored under (null on pages that can't have rules)
+const siteOrigin = getSiteRuleOrigin(window.location.href);
+
+// Raw stored values that key bindings are resolved from
+let storedKeyBindings;
+let legacyHintModeKey;
+
+// Settings kept in chrome.storage.sync (see background.js, which writes them)
+const SYNCED_SETTINGS = ['enabled', 'debugMode', 'announcements', 'keyBindings', 'hintModeKey', 'siteRules', 'pageChangeFocus', 'focusHistoryAll', 'skipLinkTargets'];
+
 // Initialize extension state
-chrome.storage.sync.get(['enabled', 'debugMode'], (result) => {
-  isEnabled = result.enabled !== false;
-  DEBUG_FOCUS = result.debugMode === true;
+chrome.storage.sync.get(SYNCED_SETTINGS, (result) => {
+  applySettings(result);
+});
 
-  if (isEnabled) {
-    initKeyboardNavigation();
+// Keep every tab and frame in sync: settings changed in the popup, the options page or
+// another tab's help dialog arrive here without a reload
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'sync') {
+    return;
+  }
+
+  const settings = {};
+  Object.keys(changes).forEach(key => {
+    if (SYNCED_SETTINGS.includes(key)) {
+      settings[key] = changes[key].newValue;
+    }
+  });
+
+  if (Object.keys(settings).length > 0) {
+    applySettings(settings);
   }
 });
 
-// Listen for messages from popup
+// Listen for browser commands routed through background.js (see manifest.json "commands")
 chrome.runtime.onMessage.addListener((request) => {
-  if (request.action === 'toggle') {
-    isEnabled = request.enabled;
-    if (isEnabled) {
-      initKeyboardNavigation();
-    } else {
-      disableKeyboardNavigation();
+  if (isNestedFrame) {
+    return;
+  }
+
+  if (request.action === 'toggleAnnouncement') {
+    // Apply the change now rather than waiting for storage.onChanged, so the announcement
+    // describes the final state (applySettings ignores the repeat when it arrives)
+    applySettings({ enabled: request.enabled });
+
+    // The announcer is removed when navigation is off, so bring it back for this message
+    addAnnouncer();
+    let message = request.enabled ? 'EasyKeyNav on' : 'EasyKeyNav off';
+    if (request.enabled !== navigationActive) {
+      message += `, but this site is set to ${getSiteModeLabel(siteMode)}`;
     }
+    announce(message, 'assertive');
+
+    if (!navigationActive) {
+      setTimeout(() => {
+        if (!navigationActive) {
+          removeAnnouncer();
+        }
+      }, 3500);
+    }
+    return;
+  }
+
+  // Range commands need a number key, so they can't be run this way
+  const command = getCommandDefinition(request.command);
+  if (request.action === 'runCommand' && navigationActive && command && !command.range) {
+    COMMAND_HANDLERS[command.id]();
   }
 });
 
+/**
+ * Apply stored settings to this page
+ * Safe to call repeatedly with the same values; only the settings passed in are changed.
+ * @param {Object} settings - Setting name to stored value (undefined means the default)
+ */
+function applySettings(settings) {
+  if ('enabled' in settings) {
+    isEnabled = settings.enabled !== false;
+  }
+
+  if ('debugMode' in settings) {
+    DEBUG_FOCUS = settings.debugMode === true;
+    if (!DEBUG_FOCUS) {
+      clearDebugScale();
+    }
+  }
+
+  if ('announcements' in settings) {
+    announcementsEnabled = settings.announcements !== false;
+  }
+
+  if ('pageChangeFocus' in settings) {
+    pageChangeFocusEnabled = settings.pageChangeFocus === true;
+  }
+
+  if ('focusHistoryAll' in settings) {
+    focusHistoryAllFocus = settings.focusHistoryAll === true;
+  }
+
+  const previousSkipLinkTargets = skipLinkTargets;
+  if ('skipLinkTargets' in settings) {
+    skipLinkTargets = resolveSkipLinkTargets(settings.skipLinkTargets);
+  }
+
+  if ('keyBindings' in settings) {
+    storedKeyBindings = settings.keyBindings;
+  }
+  if ('hintModeKey' in settings) {
+    legacyHintModeKey = settings.hintModeKey;
+  }
+  if ('siteRules' in settings) {
+    siteMode = getSiteMode(settings.siteRules, siteOrigin);
+  }
+
+  const previousBindings = keyBindings;
+  userKeyBindings = resolveKeyBindings(storedKeyBindings, legacyHintModeKey);
+  keyBindings = applySiteModeToBindings(userKeyBindings, siteMode);
+
+  if (isNestedFrame) {
+    return;
+  }
+
+  // The skip link menu shows the chosen targets and the main content shortcut, which may have changed
+  if (navigationActive && (
+    JSON.stringify(previousSkipLinkTargets) !== JSON.stringify(skipLinkTargets) ||
+    JSON.stringify(previousBindings.mainContent) !== JSON.stringify(keyBindings.mainContent))) {
+    updateSkipLinks();
+  }
+
+  updateNavigationState();
+}
+
+/**
+ * Write settings through the background service worker, which keeps every tab in sync
+ * @param {Object} settings - Setting name to new value
+ */
+function saveSettings(settings) {
+  chrome.runtime.sendMessage({ action: 'updateSettings', settings: settings }, () => {
+    if (chrome.runtime.lastError) {
+      console.log('[EasyKeyNav] Could not save settings:', chrome.runtime.lastError.message);
+    }
+  });
+}
+
+/**
+ * Start or stop keyboard navigation to match the main switch and this site's rule
+ */
+function updateNavigationState() {
+  const shouldRun = isEnabledForSite(isEnabled, siteMode);
+  if (shouldRun && !navigationActive) {
+    initKeyboardNavigation();
+  } else if (!shouldRun && navigationActive) {
+    disableKeyboardNavigation();
+  }
+}
+
 function initKeyboardNavigation() {
   const platform = isMac ? 'macOS' : 'Windows/Linux';
-  const modifierKey = isMac ? 'Option' : 'Alt';
   console.log(`EasyKeyNav: Keyboard navigation enabled on ${platform}`);
-  console.log(`EasyKeyNav: Use 1 for main heading, m for main content, n for navigation`);
-  console.log(`EasyKeyNav: Use h/Shift+H for heading navigation, l/Shift+L for landmark navigation`);
-  console.log(`EasyKeyNav: Use ${modifierKey}+Number to tab (e.g., ${modifierKey}+5 tabs forward 5 times, ${modifierKey}+Shift+3 tabs backward 3 times)`);
+  if (siteMode !== 'default') {
+    console.log(`EasyKeyNav: Site rule for ${siteOrigin}: ${getSiteModeLabel(siteMode)}`);
+  }
+  getCommandGroups().forEach(group => {
+    const shortcuts = group.commands.map(command => `${formatCommandShortcut(command)} ${command.description}`);
+    console.log(`EasyKeyNav: ${group.name}: ${shortcuts.join(', ')}`);
+  });
+  console.log(`EasyKeyNav: Change these keys on the EasyKeyNav options page`);
   console.log(`EasyKeyNav: Debug mode is ${DEBUG_FOCUS ? 'ON' : 'OFF'}`);
+  console.log(`EasyKeyNav: Announcements are ${announcementsEnabled ? 'ON' : 'OFF'}`);
   document.addEventListener('keydown', handleKeyPress, { capture: true });
+  document.addEventListener('focusin', handleFocusHistoryFocusIn, { capture: true });
+  document.addEventListener('load', handleFrameLoad, { capture: true });
+  attachFrameListeners(document);
+  startElementCache();
   addSkipLinks();
+  addAnnouncer();
+  startPageWatch();
+  navigationActive = true;
 }
 
 function disableKeyboardNavigation() {
   console.log('EasyKeyNav: Keyboard navigation disabled');
   document.removeEventListener('keydown', handleKeyPress, { capture: true });
+  document.removeEventListener('focusin', handleFocusHistoryFocusIn, { capture: true });
+  document.removeEventListener('load', handleFrameLoad, { capture: true });
+  detachFrameListeners();
+  stopElementCache();
+  stopPageWatch();
   removeSkipLinks();
+  removeAnnouncer();
+  exitHintMode();
+  navigationActive = false;
+}
+
+/**
+ * Get the document of a same-origin frame
+ * @param {Element} element - A possible iframe or frame element
+ * @returns {Document|null} - The frame's document, or null if the element is not a frame or is cross-origin
+ */
+function getFrameDocument(element) {
+  if (element.tagName !== 'IFRAME' && element.tagName !== 'FRAME') {
+    return null;
+  }
+
+  try {
+    // contentDocument is null for cross-origin frames
+    return element.contentDocument;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Listen for key presses in every same-origin frame inside a document (recursively),
+ * so shortcuts keep working while focus is inside a frame
+ * @param {Document} doc - The document whose frames should be handled
+ */
+function attachFrameListeners(doc) {
+  doc.querySelectorAll('iframe, frame').forEach(frame => {
+    const frameDocument = getFrameDocument(frame);
+    if (!frameDocument || framesWithListeners.has(frameDocument)) {
+      return;
+    }
+
+    frameDocument.addEventListener('keydown', handleKeyPress, { capture: true });
+    frameDocument.addEventListener('focusin', handleFocusHistoryFocusIn, { capture: true });
+    frameDocument.addEventListener('load', handleFrameLoad, { capture: true });
+    framesWithListeners.add(frameDocument);
+
+    attachFrameListeners(frameDocument);
+  });
+}
+
+/**
+ * Remove key listeners from all frames (when the extension is disabled)
+ */
+function detachFrameListeners() {
+  framesWithListeners.forEach(frameDocument => {
+    frameDocument.removeEventListener('keydown', handleKeyPress, { capture: true });
+    frameDocument.removeEventListener('focusin', handleFocusHistoryFocusIn, { capture: true });
+    frameDocument.removeEventListener('load', handleFrameLoad, { capture: true });
+  });
+  framesWithListeners.clear();
+}
+
+/**
+ * Attach listeners to a frame once it has loaded (a frame gets a new document on every load)
+ * @param {Event} event - The load event (captured, since load does not bubble)
+ */
+function handleFrameLoad(event) {
+  const frame = event.target;
+  if (frame.nodeType !== Node.ELEMENT_NODE || !getFrameDocument(frame)) {
+    return;
+  }
+
+  // Forget documents that were replaced by the load
+  framesWithListeners.forEach(frameDocument => {
+    if (!frameDocument.defaultView) {
+      framesWithListeners.delete(frameDocument);
+    }
+  });
+
+  // The frame's new document has different content
+  invalidateElementCache();
+
+  attachFrameListeners(frame.ownerDocument);
+}
+
+/**
+ * Add the live region used to announce navigation results (WCAG 4.1.3).
+ * It is also shown as a short-lived visual message for sighted keyboard and magnifier users.
+ */
+function addAnnouncer() {
+  // Don't add if already exists
+  if (document.getElementById('easynav-announcer')) {
+    return;
+  }
+
+  announcerElement = document.createElement('div');
+  announcerElement.id = 'easynav-announcer';
+  announcerElement.className = 'easynav-announcer-idle';
+
+  const style = document.createElement('style');
+  style.textContent = `
+    #easynav-announcer {
+      position: fixed;
+      bottom: 1rem;
+      left: 50%;
+      transform: translateX(-50%);
+      z-index: 2147483646;
+      max-width: 90vw;
+      background: #202124;
+      color: #ffffff;
+      padding: 0.5rem 1rem;
+      border: 2px solid transparent;
+      border-radius: 4px;
+      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 14px;
+      line-height: 1.5;
+      pointer-events: none;
+      transition: opacity 0.2s ease;
+    }
+    #easynav-announcer.easynav-announcer-idle {
+      opacity: 0;
+    }
+    @media (prefers-reduced-motion: reduce) {
+      #easynav-announcer {
+        transition: none;
+      }
+    }
+    @media (forced-colors: active) {
+      #easynav-announcer {
+        border-color: CanvasText;
+      }
+    }
+  `;
+  announcerElement.appendChild(style);
+
+  // Separate regions so urgent messages can interrupt and routine ones wait their turn
+  const politeRegion = document.createElement('div');
+  politeRegion.id = 'easynav-announcer-polite';
+  politeRegion.setAttribute('role', 'status');
+  politeRegion.setAttribute('aria-live', 'polite');
+  politeRegion.setAttribute('aria-atomic', 'true');
+  announcerElement.appendChild(politeRegion);
+
+  const assertiveRegion = document.createElement('div');
+  assertiveRegion.id = 'easynav-announcer-assertive';
+  assertiveRegion.setAttribute('role', 'alert');
+  assertiveRegion.setAttribute('aria-live', 'assertive');
+  assertiveRegion.setAttribute('aria-atomic', 'true');
+  announcerElement.appendChild(assertiveRegion);
+
+  // Live regions must exist in the page before their content changes to be announced
+  if (document.body) {
+    document.body.appendChild(announcerElement);
+  }
+}
+
+/**
+ * Remove the announcer when extension is disabled
+ */
+function removeAnnouncer() {
+  clearTimeout(announcementWriteTimeout);
+  clearTimeout(announcementTimeout);
+  if (announcerElement && announcerElement.parentNode) {
+    announcerElement.parentNode.removeChild(announcerElement);
+  }
+  announcerElement = null;
+}
+
+/**
+ * Announce a message to screen reader users and show it briefly on screen
+ * @param {string} message - The message to announce
+ * @param {string} [priority='polite'] - 'polite' for routine updates, 'assertive' for failures
+ */
+function announce(message, priority = 'polite') {
+  if (DEBUG_FOCUS) {
+    console.log(`[EasyKeyNav Announce] (${priority}) ${message}`);
+  }
+
+  if (!announcementsEnabled || !announcerElement) {
+    return;
+  }
+
+  const region = announcerElement.querySelector(priority === 'assertive' ? '#easynav-announcer-assertive' : '#easynav-announcer-polite');
+  const otherRegion = announcerElement.querySelector(priority === 'assertive' ? '#easynav-announcer-polite' : '#easynav-announcer-assertive');
+
+  // Clear first so repeating the same message is still announced
+  region.textContent = '';
+  otherRegion.textContent = '';
+  clearTimeout(announcementTimeout);
+
+  // Give screen readers a moment to notice the cleared region (and the focus change) first.
+  // A newer message replaces one still waiting, so an older message never overwrites it.
+  clearTimeout(announcementWriteTimeout);
+  announcementWriteTimeout = setTimeout(() => {
+    region.textContent = message;
+    announcerElement.classList.remove('easynav-announcer-idle');
+
+    announcementTimeout = setTimeout(() => {
+      if (announcerElement) {
+        announcerElement.classList.add('easynav-announcer-idle');
+      }
+    }, 3000);
+  }, 100);
+}
+
+/**
+ * Build the announcement for an element reached by a navigation command
+ * @param {string} description - Spoken description of the element (e.g. "Heading level 2, Pricing")
+ * @param {number} index - Index of the element in its list
+ * @param {number} count - Number of elements in the list
+ * @param {boolean} wrapped - Whether navigation wrapped around the end of the list
+ * @param {number} direction - 1 for next, -1 for previous
+ * @returns {string} - e.g. "Wrapped to top. Heading level 2, Pricing, 1 of 11"
+ */
+function getNavigationAnnouncement(description, index, count, wrapped, direction) {
+  const message = `${description}, ${index + 1} of ${count}`;
+  if (!wrapped) {
+    return message;
+  }
+  return `${direction > 0 ? 'Wrapped to top' : 'Wrapped to bottom'}. ${message}`;
+}
+
+/**
+ * Get the text EasyKeyNav uses to name an element, with whitespace collapsed
+ * @param {Element} element - The element
+ * @returns {string} - The element's accessible name, or for elements without one (such as a
+ *   plain div) the text a screen reader would read for it
+ */
+function getElementText(element) {
+  return getAccessibleName(element) || getAccessibleText(element);
 }
 
 /**
@@ -130,7 +567,15 @@ function disableKeyboardNavigation() {
  * @returns {boolean} - True if event should be ignored
  */
 function shouldIgnoreKeyEvent(event) {
-  const target = event.target;
+  // Events from inside shadow DOM are retargeted to the shadow host, so use the
+  // original target (e.g. an <input> inside a web component) when it is available
+  const path = event.composedPath ? event.composedPath() : [];
+  const target = path.length > 0 && path[0].nodeType === Node.ELEMENT_NODE ? path[0] : event.target;
+
+  // Ignore keys inside EasyKeyNav's own dialogs, which have their own keyboard handling
+  if (target.closest && target.closest('.easynav-dialog')) {
+    return true;
+  }
 
   // Ignore if user is typing in an input field
   const editableElements = ['INPUT', 'TEXTAREA', 'SELECT'];
@@ -159,209 +604,669 @@ function shouldIgnoreKeyEvent(event) {
   return false;
 }
 
+/**
+ * Check whether a keyboard event triggers a command, using the user's key bindings
+ * @param {KeyboardEvent} event - The keyboard event
+ * @param {string} commandId - The command id from keybindings.js
+ * @returns {boolean} - True if the event matches the command's binding
+ */
+function isCommandKey(event, commandId) {
+  return eventMatchesBinding(event, keyBindings[commandId], isMac);
+}
+
+/**
+ * Format a command's key binding for display in the help dialog and skip links
+ * @param {string} commandId - The command id from keybindings.js
+ * @param {boolean} [reverse] - For range commands, whether to show the Shift (reverse) variant
+ * @param {string} [keyLabel] - For range commands, the keys to show, e.g. "1-6"
+ * @returns {string} - e.g. "Shift+H", "Alt+1-9" or "Off"
+ */
+function formatCommandKeys(commandId, reverse, keyLabel) {
+  const binding = keyBindings[commandId];
+  if (binding && reverse) {
+    return formatBinding({ ...binding, shift: true }, isMac, keyLabel);
+  }
+  return formatBinding(binding, isMac, keyLabel);
+}
+
+/**
+ * Format a command's shortcut for the help dialog and console
+ * @param {Object} command - The command definition from keybindings.js
+ * @returns {string} - e.g. "Shift+H", "1-6 / Shift+1-6" or "Off"
+ */
+function formatCommandShortcut(command) {
+  if (command.range && keyBindings[command.id]) {
+    return `${formatCommandKeys(command.id, false, command.range)} / ${formatCommandKeys(command.id, true, command.range)}`;
+  }
+  return formatCommandKeys(command.id);
+}
+
+// What each command in EASYNAV_COMMANDS (keybindings.js) does. Range commands are passed the
+// number pressed and whether Shift was held.
+// U / V (in-page and external links): Screen readers use these keys for unvisited/visited
+// links, but browsers hide :visited state from scripts for privacy, so the default
+// bindings split links into in-page links and links to other sites instead.
+// F / B / E (form fields): Once focus lands in a text field, letters are typed as usual;
+// use Tab to move on.
+const COMMAND_HANDLERS = {
+  nextHeading: navigateToNextHeading,
+  previousHeading: navigateToPreviousHeading,
+  // 1 goes to the main heading
+  headingLevel: ({ digit, reverse }) => navigateToHeadingAtLevel(digit, reverse ? -1 : 1),
+  nextSiblingHeading: () => navigateToSiblingHeading(1),
+  previousSiblingHeading: () => navigateToSiblingHeading(-1),
+  parentHeading: navigateToParentHeading,
+  nextLandmark: navigateToNextLandmark,
+  previousLandmark: navigateToPreviousLandmark,
+  mainContent: focusMainContent,
+  navigation: focusNavigation,
+  nextLink: navigateToNextLink,
+  previousLink: navigateToPreviousLink,
+  nextInPageLink: navigateToNextInPageLink,
+  previousInPageLink: navigateToPreviousInPageLink,
+  nextExternalLink: navigateToNextExternalLink,
+  previousExternalLink: navigateToPreviousExternalLink,
+  nextFormField: navigateToNextFormField,
+  previousFormField: navigateToPreviousFormField,
+  nextButton: navigateToNextButton,
+  previousButton: navigateToPreviousButton,
+  nextEditField: navigateToNextEditField,
+  previousEditField: navigateToPreviousEditField,
+  // 1 through 9 move 1-9 tab stops, 0 moves 10; negative counts go backward
+  tabStops: ({ digit, reverse }) => {
+    const count = digit === 0 ? 10 : digit;
+    tabMultipleTimes(reverse ? -count : count);
+  },
+  scrollDown: () => scrollCurrentRegion('step', 1),
+  scrollUp: () => scrollCurrentRegion('step', -1),
+  scrollHalfPageDown: () => scrollCurrentRegion('half', 1),
+  scrollHalfPageUp: () => scrollCurrentRegion('half', -1),
+  scrollToTop: () => scrollCurrentRegion('end', -1),
+  scrollToBottom: () => scrollCurrentRegion('end', 1),
+  focusBack: () => moveInFocusHistory(-1),
+  focusForward: () => moveInFocusHistory(1),
+  setMark: () => startMarkCommand('set'),
+  jumpToMark: () => startMarkCommand('jump'),
+  marksList: openMarksDialog,
+  auditPage: openAuditDialog,
+  nextScrollRegion: () => focusScrollRegion(1),
+  previousScrollRegion: () => focusScrollRegion(-1),
+  hintMode: enterHintMode,
+  find: openFindBar,
+  commandPalette: toggleCommandPalette,
+  elementsList: toggleElementsList,
+  help: toggleHelpDialog
+};
+
+// Keys the help dialog lists that aren't commands (they can't be changed), by command group
+const HELP_EXTRA_SHORTCUTS = {
+  'Hint Mode': [
+    { description: 'Type a hint to activate it', keys: 'letters' },
+    { description: 'Open a hinted link in a new tab', keys: 'Shift+letters' },
+    { description: 'Focus a hinted element without activating it', keys: `${isMac ? 'Option' : 'Alt'}+letters` }
+  ],
+  Marks: [
+    { description: 'Name the mark to set or jump to', keys: 'a-z' }
+  ],
+  Find: [
+    { description: 'Next match', keys: 'Enter' },
+    { description: 'Previous match', keys: 'Shift+Enter' },
+    { description: 'Close and leave focus on the match', keys: 'Escape' }
+  ],
+  Dialogs: [
+    { description: 'Close a dialog or cancel hint mode', keys: 'Escape' }
+  ]
+};
+
+/**
+ * Run the first of the given commands whose binding matches a key press
+ * @param {KeyboardEvent} event - The keyboard event
+ * @param {Array<Object>} commands - Command definitions from keybindings.js
+ * @returns {boolean} - True if a command ran
+ */
+function runCommandForKey(event, commands) {
+  for (const command of commands) {
+    const match = command.range
+      ? matchRangeBinding(event, keyBindings[command.id], command.range, isMac)
+      : isCommandKey(event, command.id);
+    if (match) {
+      event.preventDefault();
+      COMMAND_HANDLERS[command.id](match);
+      return true;
+    }
+  }
+  return false;
+}
+
 /**
  * Handle keyboard events with accessibility in mind
  * Cross-platform support: Works on Windows, Mac, and Linux
+ * Keys come from the user's bindings (see keybindings.js and the options page)
  * @param {KeyboardEvent} event - The keyboard event
  */
 function handleKeyPress(event) {
-  // Ctrl+/ (Windows/Linux) or Cmd+/ (Mac): Toggle help dialog
-  // This should work even when typing in form fields for accessibility
-  if (event.key === '/' && ((event.ctrlKey && !isMac) || (event.metaKey && isMac)) && !event.altKey && !event.shiftKey) {
-    event.preventDefault();
-    toggleHelpDialog();
-    return;
-  }
-
-  // Escape: Close help dialog if open
-  if (event.key === 'Escape' && helpDialogOpen) {
-    event.preventDefault();
-    closeHelpDialog();
+  // While hint mode is active, every key press is used to pick a hint
+  if (hintModeActive) {
+    handleHintModeKey(event);
     return;
   }
 
-  // Skip if event should be ignored for accessibility
-  if (shouldIgnoreKeyEvent(event)) {
+  // After "set mark" or "jump to mark", the next key press is the mark's letter
+  if (pendingMarkAction) {
+    handleMarkLetterKey(event);
     return;
   }
 
-  // Keyboard shortcuts - Cross-platform compatible
-  // Note: On Mac, Alt key = Option key, Ctrl key = Control key, Meta key = Command key
-  // We use simple letter keys for quick navigation (like h for headings, l for landmarks)
-
-  // M key: Go to main content
-  if (event.key === 'm' && !event.altKey && !event.shiftKey && !event.ctrlKey && !event.metaKey) {
-    event.preventDefault();
-    focusMainContent();
+  // Help and the Elements List (default Ctrl+/ and Alt+Shift+E) work even when typing in
+  // form fields for accessibility
+  if (runCommandForKey(event, EASYNAV_COMMANDS.filter(command => canRunWhileTyping(command.id)))) {
     return;
   }
 
-  // N key: Go to navigation
-  if (event.key === 'n' && !event.altKey && !event.shiftKey && !event.ctrlKey && !event.metaKey) {
+  // Escape: Close help dialog if open
+  if (event.key === 'Escape' && helpDialogOpen) {
     event.preventDefault();
-    focusNavigation();
+    closeHelpDialog();
     return;
   }
 
-  // Quick tab navigation: Alt+Number (Option+Number on Mac)
-  // Alt+1 through Alt+9: Move forward 1-9 tab stops
-  // Alt+0: Move forward 10 tab stops
-  // Alt+Shift+1 through Alt+Shift+9: Move backward 1-9 tab stops
-  // Alt+Shift+0: Move backward 10 tab stops
-  const numberMatch = event.key.match(/^[0-9]$/);
-  if (numberMatch && event.altKey && !event.ctrlKey && !event.metaKey) {
+  // Escape: Close Elements List if open
+  if (event.key === 'Escape' && elementsListOpen) {
     event.preventDefault();
-    const count = event.key === '0' ? 10 : parseInt(event.key);
-    if (event.shiftKey) {
-      tabMultipleTimes(-count); // Negative for backwards
-    } else {
-      tabMultipleTimes(count);
-    }
+    closeElementsList();
     return;
   }
 
-  // 1 key: Go to main heading (h1)
-  if (event.key === '1' && !event.altKey && !event.shiftKey && !event.ctrlKey && !event.metaKey) {
+  // Escape: Close command palette if open
+  if (event.key === 'Escape' && commandPaletteOpen) {
     event.preventDefault();
-    focusMainHeading();
+    closeCommandPalette();
     return;
   }
 
-  // H key: Navigate to next heading (cycles through all headings)
-  // Works identically on all platforms
-  if (event.key === 'h' && !event.altKey && !event.shiftKey && !event.ctrlKey && !event.metaKey) {
+  // Escape: Close the find bar, leaving focus on the current match
+  if (event.key === 'Escape' && findBarOpen) {
     event.preventDefault();
-    navigateToNextHeading();
+    closeFindBar();
     return;
   }
 
-  // Shift+H: Navigate to previous heading
-  // Works identically on all platforms
-  if (event.key === 'H' && event.shiftKey && !event.altKey && !event.ctrlKey && !event.metaKey) {
+  // Escape: Close the marks dialog if open
+  if (event.key === 'Escape' && marksDialogOpen) {
     event.preventDefault();
-    navigateToPreviousHeading();
+    closeMarksDialog();
     return;
   }
 
-  // L key: Navigate to next landmark (cycles through all ARIA landmarks)
-  // Works identically on all platforms
-  if (event.key === 'l' && !event.altKey && !event.shiftKey && !event.ctrlKey && !event.metaKey) {
+  // Escape: Close the audit report if open
+  if (event.key === 'Escape' && auditDialogOpen) {
     event.preventDefault();
-    navigateToNextLandmark();
+    closeAuditDialog();
     return;
   }
 
-  // Shift+L: Navigate to previous landmark
-  // Works identically on all platforms
-  if (event.key === 'L' && event.shiftKey && !event.altKey && !event.ctrlKey && !event.metaKey) {
-    event.preventDefault();
-    navigateToPreviousLandmark();
+  // Skip if event should be ignored for accessibility
+  if (shouldIgnoreKeyEvent(event)) {
     return;
   }
 
-  // Add your custom keyboard shortcuts here
-  // Always use non-conflicting key combinations (e.g., Alt+Shift+Key)
+  // Add new shortcuts to EASYNAV_COMMANDS in keybindings.js and COMMAND_HANDLERS above
   // Avoid using: Tab, Enter, Space, Arrow keys, Escape without good reason
   // These are essential for native keyboard navigation and screen readers
+  runCommandForKey(event, EASYNAV_COMMANDS);
+}
+
+/**
+ * Check whether a command may run while the user is typing in a form field
+ * Only commands marked "anywhere" whose binding uses Ctrl/Cmd or Alt/Option qualify,
+ * so a command moved to a bare letter never interrupts typing.
+ * @param {string} commandId - The command id from keybindings.js
+ * @returns {boolean} - True if the command may run before shouldIgnoreKeyEvent is checked
+ */
+function canRunWhileTyping(commandId) {
+  const command = getCommandDefinition(commandId);
+  const binding = keyBindings[commandId];
+  return !!(command && command.anywhere && binding && (binding.ctrl || binding.alt));
 }
 
 /**
- * Tab forward or backward multiple times
+ * Tab forward or backward multiple times, landing where pressing Tab that many times would
  * @param {number} count - Number of times to tab (positive = forward, negative = backward)
  */
 function tabMultipleTimes(count) {
-  // Get all focusable elements
-  const focusableSelector = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
-  const focusableElements = Array.from(document.querySelectorAll(focusableSelector));
-
-  if (focusableElements.length === 0) {
-    return;
-  }
-
-  // Filter out hidden elements
-  const visibleFocusable = focusableElements.filter(el => {
-    const style = window.getComputedStyle(el);
-    return style.display !== 'none' &&
-           style.visibility !== 'hidden' &&
-           el.offsetParent !== null;
-  });
+  const tabStops = getAllTabStops();
 
-  if (visibleFocusable.length === 0) {
+  if (tabStops.length === 0) {
+    announce('No focusable elements on this page', 'assertive');
     return;
   }
 
-  // Find current focused element index
-  const currentIndex = visibleFocusable.indexOf(document.activeElement);
-
-  // Calculate new index (wrap around if needed)
-  let newIndex;
+  // Count from the focused tab stop, or from the user's position if focus is elsewhere
+  const currentIndex = tabStops.indexOf(getDeepActiveElement());
+  let position = currentIndex;
   if (currentIndex === -1) {
-    // No element currently focused
-    if (count > 0) {
-      // Going forward, start from beginning
-      newIndex = Math.min(count - 1, visibleFocusable.length - 1);
-    } else {
-      // Going backward, start from end
-      newIndex = Math.max(visibleFocusable.length + count, 0);
-    }
-  } else {
-    // Calculate new position with wrap-around
-    newIndex = (currentIndex + count) % visibleFocusable.length;
-    // Handle negative wrap-around
-    if (newIndex < 0) {
-      newIndex = visibleFocusable.length + newIndex;
-    }
+    const next = getNextTabStopIndex(tabStops);
+    position = count > 0 ? next - 1 : next;
   }
 
+  const targetPosition = position + count;
+  const newIndex = ((targetPosition % tabStops.length) + tabStops.length) % tabStops.length;
+  const wrapped = targetPosition < 0 || targetPosition >= tabStops.length;
+
   // Focus the target element
-  visibleFocusable[newIndex].focus();
+  const target = tabStops[newIndex];
+  recordFocusJump(target);
+  target.focus();
   const direction = count > 0 ? 'forward' : 'backward';
   logFocusChange(`Tab ${Math.abs(count)} times ${direction}`);
+
+  announce(getNavigationAnnouncement(describeElement(target), newIndex, tabStops.length, wrapped, count));
 }
 
 /**
- * Focus the main heading (h1) on the page
+ * Find the tab stop that Tab would move to from the user's position when focus is not on a
+ * tab stop (for example on a heading EasyKeyNav focused, or on the body after a click)
+ * @param {Array<Element>} tabStops - Tab stops in sequential focus order
+ * @returns {number} - Index of the next tab stop, or tabStops.length if there is none
  */
-function focusMainHeading() {
-  if (DEBUG_FOCUS) {
-    console.log('[EasyKeyNav] focusMainHeading called');
+function getNextTabStopIndex(tabStops) {
+  const reference = getNavigationReference();
+  if (!reference) {
+    return 0;
   }
 
-  const heading = document.querySelector('h1');
+  // Positive tabindex stops come first whatever their position, so only the rest follow the page
+  const index = tabStops.findIndex(element =>
+    !(getTabIndex(element) > 0) && compareComposedPosition(reference, element) < 0);
+  return index === -1 ? tabStops.length : index;
+}
 
-  if (DEBUG_FOCUS) {
-    console.log('[EasyKeyNav] Found h1 element:', heading);
+/**
+ * Get all elements in the tab order, in the order Tab visits them (cached, see getCachedElements)
+ * @returns {Array<Element>} - Tab stops in sequential focus order
+ */
+function getAllTabStops() {
+  // Radio buttons change when they are checked, which the cache doesn't see
+  return filterRadioGroupTabStops(getCachedElements('tabStops', findAllTabStops));
+}
+
+/**
+ * Find all elements in the tab order, in the order Tab visits them.
+ * While a modal <dialog> is open, only its contents can be reached, as the rest of the page is inert.
+ * @returns {Array<Element>} - Tab stops in sequential focus order
+ */
+function findAllTabStops() {
+  let modal = null;
+  try {
+    const modals = document.querySelectorAll('dialog:modal');
+    modal = modals.length > 0 ? modals[modals.length - 1] : null;
+  } catch (error) {
+    // Browsers without :modal have no modal dialogs to handle
   }
 
-  if (heading) {
-    // Make heading focusable temporarily
-    const originalTabIndex = heading.getAttribute('tabindex');
-    heading.setAttribute('tabindex', '-1');
-    heading.focus();
+  if (modal) {
+    return buildTabOrder(getComposedChildren(modal));
+  }
+  return document.documentElement ? buildTabOrder([document.documentElement]) : [];
+}
 
-    if (DEBUG_FOCUS) {
-      console.log('[EasyKeyNav] Focused h1 element, activeElement is now:', document.activeElement);
+/**
+ * Build the tab order of one focus navigation scope (the document, a shadow root, a slot's
+ * assigned content or a frame's document). Elements with a positive tabindex come first, in
+ * tabindex order, then the rest in document order. A shadow host, slot or frame is a scope of
+ * its own, whose contents are visited together at the owner's place in the order.
+ * @param {Array<Element>} elements - The top-level elements of the scope
+ * @returns {Array<Element>} - Tab stops in sequential focus order
+ */
+function buildTabOrder(elements) {
+  const entries = [];
+
+  const visit = (element) => {
+    // Nothing inside an inert subtree can be focused
+    if (element.hasAttribute('inert')) {
+      return;
     }
 
-    logFocusChange('Focus main heading (1)');
+    const tabIndex = getTabIndex(element);
+    const frameDocument = getFrameDocument(element);
+    const isSlot = element.tagName === 'SLOT' && isShadowRoot(element.getRootNode());
 
-    // Restore original tabindex after focus
-    heading.addEventListener('blur', () => {
-      if (originalTabIndex === null) {
-        heading.removeAttribute('tabindex');
-      } else {
-        heading.setAttribute('tabindex', originalTabIndex);
+    if (element.shadowRoot || frameDocument || isSlot) {
+      // A negative tabindex on a shadow host or frame takes everything inside it out of the tab order
+      if (tabIndex !== null && tabIndex < 0) {
+        return;
       }
-    }, { once: true });
-  } else {
-    if (DEBUG_FOCUS) {
-      console.warn('[EasyKeyNav] No h1 element found on page');
+
+      const contents = buildTabOrder(getComposedChildren(element));
+      let ownerIsStop = tabIndex !== null && isFocusable(element);
+      if (element.shadowRoot && element.shadowRoot.delegatesFocus) {
+        // Focus goes straight to the first focusable element inside
+        ownerIsStop = false;
+      } else if (frameDocument) {
+        // Tab moves into a frame's content, and stops on the frame only if it has none
+        ownerIsStop = ownerIsStop && contents.length === 0;
+      }
+
+      entries.push({ tabIndex: tabIndex || 0, elements: ownerIsStop ? [element, ...contents] : contents });
+      return;
     }
-  }
+
+    if (tabIndex !== null && tabIndex >= 0 && isFocusable(element)) {
+      entries.push({ tabIndex, elements: [element] });
+    }
+    Array.from(element.children).forEach(visit);
+  };
+
+  elements.forEach(visit);
+
+  // Array.prototype.sort is stable, so equal tabindexes stay in document order
+  const positive = entries.filter(entry => entry.tabIndex > 0).sort((a, b) => a.tabIndex - b.tabIndex);
+  const rest = entries.filter(entry => entry.tabIndex === 0);
+  return [...positive, ...rest].flatMap(entry => entry.elements);
 }
 
 /**
- * Focus the main content area
+ * Get the tabindex that decides an element's place in the tab order
+ * @param {Element} element - The element
+ * @returns {number|null} - The tabindex (0 for natively focusable elements), or null if the
+ *   element can't be focused at all
+ */
+function getTabIndex(element) {
+  const attribute = element.getAttribute('tabindex');
+  if (attribute !== null && /^\s*[+-]?\d+\s*$/.test(attribute)) {
+    return parseInt(attribute, 10);
+  }
+  return isNativelyFocusable(element) ? 0 : null;
+}
+
+/**
+ * Check whether an element is focusable without a tabindex attribute
+ * @param {Element} element - The element
+ * @returns {boolean} - True for links, form controls, frames, media with controls, the summary
+ *   of a details element and the root of a contenteditable region
+ */
+function isNativelyFocusable(element) {
+  switch (element.localName) {
+    case 'a':
+    case 'area':
+      return element.hasAttribute('href');
+    case 'button':
+    case 'select':
+    case 'textarea':
+    case 'iframe':
+    case 'frame':
+      return true;
+    case 'input':
+      return element.type !== 'hidden';
+    case 'audio':
+    case 'video':
+      return element.hasAttribute('controls');
+    case 'summary': {
+      // Only a details element's first summary opens and closes it
+      const details = element.parentElement;
+      return !!details && details.localName === 'details' && details.querySelector(':scope > summary') === element;
+    }
+    default:
+      // The editable region itself is focusable, not the elements inside it
+      return !!element.isContentEditable && !(element.parentElement && element.parentElement.isContentEditable);
+  }
+}
+
+/**
+ * Check whether an element can receive focus: it is focusable, enabled, not inert and rendered
+ * @param {Element} element - The element
+ * @returns {boolean} - True if calling focus() would focus the element
+ */
+function isFocusable(element) {
+  if (getTabIndex(element) === null) {
+    return false;
+  }
+
+  // :disabled also matches controls inside a disabled fieldset (except in its first legend)
+  if (element.matches(':disabled') || closestComposed(element, '[inert]')) {
+    return false;
+  }
+
+  // An image map area is shown through the image that uses its map
+  if (element.localName === 'area') {
+    const map = element.closest('map');
+    const image = map && map.name && Array.from(element.getRootNode().querySelectorAll('img[usemap]'))
+      .find(img => img.getAttribute('usemap') === `#${map.name}`);
+    return !!image && isRendered(image);
+  }
+
+  return isRendered(element);
+}
+
+/**
+ * Check whether an element is rendered and visible (not display: none, not inside a closed
+ * details element and not visibility: hidden)
+ * @param {Element} element - The element
+ * @returns {boolean} - True if the element is rendered
+ */
+function isRendered(element) {
+  if (element.checkVisibility) {
+    return element.checkVisibility({ visibilityProperty: true, checkVisibilityCSS: true });
+  }
+
+  const style = window.getComputedStyle(element);
+  return style.visibility !== 'hidden' && element.getClientRects().length > 0;
+}
+
+/**
+ * Keep one radio button per group, as Tab does: the checked one, or the first if none is checked
+ * @param {Array<Element>} tabStops - Tab stops in sequential focus order
+ * @returns {Array<Element>} - The tab stops without the radio buttons Tab skips
+ */
+function filterRadioGroupTabStops(tabStops) {
+  // A group is the radio buttons with the same name in the same form (or tree, outside forms)
+  const groups = new Map();
+  const getGroup = (radio) => {
+    const owner = radio.form || radio.getRootNode();
+    if (!groups.has(owner)) {
+      groups.set(owner, new Map());
+    }
+    const byName = groups.get(owner);
+    if (!byName.has(radio.name)) {
+      byName.set(radio.name, []);
+    }
+    return byName.get(radio.name);
+  };
+
+  const isGroupedRadio = element => element.localName === 'input' && element.type === 'radio' && element.name;
+  tabStops.filter(isGroupedRadio).forEach(radio => getGroup(radio).push(radio));
+
+  return tabStops.filter(element => {
+    if (!isGroupedRadio(element)) {
+      return true;
+    }
+    const group = getGroup(element);
+    return element === (group.find(radio => radio.checked) || group[0]);
+  });
+}
+
+// How far the small scroll step moves, in CSS pixels (about three lines, like an arrow key)
+const SCROLL_STEP = 40;
+
+/**
+ * Check whether an element scrolls vertically: a page (the viewport of the document or a
+ * same-origin frame) that is taller than the window, or an overflow container with hidden content
+ * @param {Element} element - The element
+ * @returns {boolean} - True if the element can be scrolled
+ */
+function isScrollContainer(element) {
+  if (element.scrollHeight <= element.clientHeight) {
+    return false;
+  }
+
+  const doc = element.ownerDocument;
+  if (element === doc.scrollingElement) {
+    // Sites stop the page scrolling (for example behind their own dialogs) with overflow: hidden
+    return ![doc.documentElement, doc.body].some(root => root && window.getComputedStyle(root).overflowY === 'hidden');
+  }
+
+  return ['auto', 'scroll', 'overlay'].includes(window.getComputedStyle(element).overflowY);
+}
+
+/**
+ * Get every scrollable region on the page (cached, see getCachedElements)
+ * @returns {Array<Element>} - Scroll containers in document order (a page is its scrollingElement)
+ */
+function getScrollableRegions() {
+  // Content can grow or shrink without a DOM change (an image loading), so check each region still scrolls
+  return getCachedElements('scrollRegions', findScrollableRegions)
+    .filter(element => element.clientHeight > 0 && isScrollContainer(element));
+}
+
+/**
+ * Find every scrollable region on the page, including the page itself and same-origin frames
+ * @returns {Array<Element>} - Scroll containers in document order (a page is its scrollingElement)
+ */
+function findScrollableRegions() {
+  // Checking the size first skips the style lookup for almost every element
+  return querySelectorAllDeep('*').filter(element =>
+    element.scrollHeight > element.clientHeight &&
+    !element.closest('#easynav-skip-links, .easynav-dialog, #easynav-hints') &&
+    isScrollContainer(element) &&
+    element.clientHeight > 0 &&
+    (element === element.ownerDocument.scrollingElement || isRendered(element)));
+}
+
+/**
+ * Get the area of an element that is inside the top-level viewport
+ * @param {Element} element - The element
+ * @returns {number} - Visible area in square CSS pixels
+ */
+function getVisibleArea(element) {
+  if (element === document.scrollingElement) {
+    return window.innerWidth * window.innerHeight;
+  }
+
+  const rect = getViewportRect(element);
+  const width = Math.min(rect.left + rect.width, window.innerWidth) - Math.max(rect.left, 0);
+  const height = Math.min(rect.top + rect.height, window.innerHeight) - Math.max(rect.top, 0);
+  return Math.max(width, 0) * Math.max(height, 0);
+}
+
+/**
+ * Find the region a scroll command should scroll: the nearest scroll container around the
+ * focused element (or the caret) that can still move in that direction, as the browser would
+ * chain the scroll, or else the largest visible scrollable region
+ * @param {number} direction - 1 to scroll down, -1 to scroll up
+ * @returns {Element|null} - The scroll container, or null if nothing on the page scrolls
+ */
+function getScrollTarget(direction) {
+  const reference = getNavigationReference();
+  let nearest = null;
+
+  for (let node = reference; node; node = getComposedParent(node)) {
+    if (node.nodeType !== Node.ELEMENT_NODE || !isScrollContainer(node)) {
+      continue;
+    }
+    nearest = nearest || node;
+    if (canScrollFurther(node, direction)) {
+      return node;
+    }
+  }
+
+  if (nearest) {
+    return nearest;
+  }
+
+  const regions = getScrollableRegions();
+  if (regions.length === 0) {
+    return null;
+  }
+  return regions.reduce((largest, region) => getVisibleArea(region) > getVisibleArea(largest) ? region : largest);
+}
+
+/**
+ * Check whether a scroll container can move further in a direction
+ * @param {Element} element - The scroll container
+ * @param {number} direction - 1 for down, -1 for up
+ * @returns {boolean} - True if it isn't already at that end
+ */
+function canScrollFurther(element, direction) {
+  if (direction < 0) {
+    return element.scrollTop > 0;
+  }
+  // scrollTop can be fractional on zoomed pages, so allow a pixel of rounding
+  return element.scrollTop + element.clientHeight < element.scrollHeight - 1;
+}
+
+/**
+ * Get the scroll behavior to use: smooth, unless the user prefers reduced motion
+ * @returns {string} - 'smooth' or 'instant'
+ */
+function getScrollBehavior() {
+  return window.matchMedia('(prefers-reduced-motion: reduce)').matches ? 'instant' : 'smooth';
+}
+
+/**
+ * Describe a scrollable region for announcements
+ * @param {Element} element - The scroll container
+ * @returns {string} - Description such as "Page", "Frame, Comments" or "Scrollable region, Inbox"
+ */
+function describeScrollRegion(element) {
+  const doc = element.ownerDocument;
+  if (element === doc.scrollingElement) {
+    const frame = doc.defaultView && doc.defaultView.frameElement;
+    if (frame) {
+      const name = getAccessibleName(frame);
+      return name ? `Frame, ${name}` : 'Frame';
+    }
+    return 'Page';
+  }
+
+  const name = getAccessibleName(element);
+  return name ? `Scrollable region, ${name}` : 'Scrollable region';
+}
+
+/**
+ * Scroll the current scrollable region (see getScrollTarget)
+ * @param {string} amount - 'step' for a small step, 'half' for half the region's height, or 'end'
+ *   to go all the way to the top or bottom
+ * @param {number} direction - 1 to scroll down, -1 to scroll up
+ */
+function scrollCurrentRegion(amount, direction) {
+  const target = getScrollTarget(direction);
+
+  if (!target) {
+    announce('Nothing to scroll on this page', 'assertive');
+    return;
+  }
+
+  const description = describeScrollRegion(target);
+  if (!canScrollFurther(target, direction)) {
+    announce(`${direction > 0 ? 'Bottom' : 'Top'} of ${description.charAt(0).toLowerCase()}${description.slice(1)}`, 'assertive');
+    return;
+  }
+
+  const behavior = getScrollBehavior();
+  if (amount === 'end') {
+    target.scrollTo({ top: direction > 0 ? target.scrollHeight : 0, behavior });
+  } else {
+    const distance = amount === 'half' ? target.clientHeight / 2 : SCROLL_STEP;
+    target.scrollBy({ top: distance * direction, behavior });
+  }
+
+  if (DEBUG_FOCUS) {
+    console.log(`[EasyKeyNav] Scroll ${amount} ${direction > 0 ? 'down' : 'up'}: ${description}`);
+  }
+}
+
+/**
+ * Move focus to the next or previous scrollable region, so Space, Page Down and the arrow keys
+ * scroll it
+ * @param {number} direction - 1 for the next region, -1 for the previous one
+ */
+function focusScrollRegion(direction) {
+  const action = direction > 0 ? 'Navigate to next scrollable region' : 'Navigate to previous scrollable region';
+  focusElementInList(getScrollableRegions(), direction, action, describeScrollRegion, 'scrollable regions');
+}
+
+/**
+ * Focus the main content area
  */
 function focusMainContent() {
   if (DEBUG_FOCUS) {
@@ -378,6 +1283,7 @@ function focusMainContent() {
   if (main) {
     const originalTabIndex = main.getAttribute('tabindex');
     main.setAttribute('tabindex', '-1');
+    recordFocusJump(main);
     main.focus();
 
     if (DEBUG_FOCUS) {
@@ -385,6 +1291,7 @@ function focusMainContent() {
     }
 
     logFocusChange('Focus main content (m)');
+    announce(describeLandmark(main));
 
     main.addEventListener('blur', () => {
       if (originalTabIndex === null) {
@@ -397,6 +1304,7 @@ function focusMainContent() {
     if (DEBUG_FOCUS) {
       console.warn('[EasyKeyNav] No main element found on page. Add a <main> element or element with role="main"');
     }
+    announce('No main landmark on this page', 'assertive');
   }
 }
 
@@ -417,6 +1325,7 @@ function focusNavigation() {
   if (nav) {
     const originalTabIndex = nav.getAttribute('tabindex');
     nav.setAttribute('tabindex', '-1');
+    recordFocusJump(nav);
     nav.focus();
 
     if (DEBUG_FOCUS) {
@@ -424,6 +1333,7 @@ function focusNavigation() {
     }
 
     logFocusChange('Focus navigation (n)');
+    announce(describeLandmark(nav));
 
     nav.addEventListener('blur', () => {
       if (originalTabIndex === null) {
@@ -436,490 +1346,4769 @@ function focusNavigation() {
     if (DEBUG_FOCUS) {
       console.warn('[EasyKeyNav] No nav element found on page. Add a <nav> element or element with role="navigation"');
     }
+    announce('No navigation landmark on this page', 'assertive');
   }
 }
 
 /**
- * Get all headings on the page (both HTML headings and ARIA role="heading")
- * @returns {Array<Element>} - Array of heading elements
+ * Get the children of a node in the composed (flattened) tree: a shadow host's children are
+ * its shadow root's children, a slot's children are the elements assigned to it, and a
+ * same-origin frame's child is its document's root element
+ * @param {Element|Document} node - The node
+ * @returns {Array<Element>} - Child elements in rendering order
  */
-function getAllHeadings() {
-  // Get HTML heading elements (h1-h6)
-  const htmlHeadings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'));
-
-  // Get elements with role="heading"
-  const ariaHeadings = Array.from(document.querySelectorAll('[role="heading"]'));
-
-  // Combine both lists
-  const allHeadings = [...htmlHeadings, ...ariaHeadings];
-
-  // Remove duplicates (in case an element has both)
-  const uniqueHeadings = allHeadings.filter((heading, index) =>
-    allHeadings.indexOf(heading) === index
-  );
+function getComposedChildren(node) {
+  if (node.shadowRoot) {
+    return Array.from(node.shadowRoot.children);
+  }
 
-  // Filter out hidden headings (display:none, visibility:hidden, or aria-hidden)
-  const visibleHeadings = uniqueHeadings.filter(heading => {
-    const style = window.getComputedStyle(heading);
-    const isVisible = style.display !== 'none' &&
-                     style.visibility !== 'hidden' &&
-                     heading.getAttribute('aria-hidden') !== 'true';
-    return isVisible;
-  });
+  // Same-origin frames are treated as part of the page
+  const frameDocument = getFrameDocument(node);
+  if (frameDocument) {
+    return frameDocument.documentElement ? [frameDocument.documentElement] : [];
+  }
 
-  // Sort by document order
-  visibleHeadings.sort((a, b) => {
-    const position = a.compareDocumentPosition(b);
-    if (position & Node.DOCUMENT_POSITION_FOLLOWING) {
-      return -1;
-    } else if (position & Node.DOCUMENT_POSITION_PRECEDING) {
-      return 1;
-    }
-    return 0;
-  });
+  if (node.tagName === 'SLOT' && isShadowRoot(node.getRootNode())) {
+    const assigned = node.assignedElements();
+    // A slot with nothing assigned renders its fallback content
+    return assigned.length > 0 ? assigned : Array.from(node.children);
+  }
 
-  return visibleHeadings;
+  return Array.from(node.children);
 }
 
 /**
- * Get the heading level for a heading element
- * @param {Element} heading - The heading element
- * @returns {number} - The heading level (1-6)
+ * Get the parent of a node in the composed tree (the inverse of getComposedChildren)
+ * @param {Node} node - The node
+ * @returns {Node|null} - The composed parent, or null at the document
  */
-function getHeadingLevel(heading) {
-  // Check if it's an HTML heading tag
-  const match = heading.tagName.match(/^H([1-6])$/);
-  if (match) {
-    return parseInt(match[1]);
+function getComposedParent(node) {
+  if (node.assignedSlot) {
+    return node.assignedSlot;
   }
 
-  // Check for aria-level attribute
-  const ariaLevel = heading.getAttribute('aria-level');
-  if (ariaLevel) {
-    const level = parseInt(ariaLevel);
-    return isNaN(level) ? 1 : Math.min(Math.max(level, 1), 6);
+  const parent = node.parentNode;
+  if (parent && isShadowRoot(parent)) {
+    return parent.host;
   }
 
-  // Default to level 2 for role="heading" without aria-level
-  return 2;
+  // A frame document's parent is the frame element in the embedding document
+  if (parent && parent.nodeType === Node.DOCUMENT_NODE && parent !== document) {
+    return parent.defaultView ? parent.defaultView.frameElement : null;
+  }
+
+  return parent;
 }
 
 /**
- * Make an element focusable and focus it, preserving original tabindex
- * @param {Element} element - The element to focus
- * @param {string} action - Description of the action for debug logging
+ * Check whether a node is a shadow root
+ * (instanceof does not work for nodes from other frames, which have their own ShadowRoot class)
+ * @param {Node} node - The node
+ * @returns {boolean} - True for shadow roots
  */
-function makeElementFocusableAndFocus(element, action) {
-  const originalTabIndex = element.getAttribute('tabindex');
+function isShadowRoot(node) {
+  return node.nodeType === Node.DOCUMENT_FRAGMENT_NODE && !!node.host;
+}
 
-  // Make element focusable if it's not already
-  if (originalTabIndex === null || originalTabIndex === undefined) {
-    element.setAttribute('tabindex', '-1');
+/**
+ * Check whether any element on the page hosts an open shadow root or a same-origin frame
+ * @returns {boolean} - True if the composed tree differs from the document tree
+ */
+function pageHasShadowRoots() {
+  // Cached with the element lists (see getCachedElements), so this page scan runs once per DOM change
+  if (elementCacheObserver && pageHasShadowRootsCache !== null) {
+    return pageHasShadowRootsCache;
   }
 
-  // Focus the element
-  element.focus();
-  if (action) {
-    logFocusChange(action);
+  let found = false;
+  const allElements = document.getElementsByTagName('*');
+  for (let i = 0; i < allElements.length; i++) {
+    if (allElements[i].shadowRoot || getFrameDocument(allElements[i])) {
+      found = true;
+      break;
+    }
   }
 
-  // Restore original tabindex after blur (if it wasn't already focusable)
-  if (originalTabIndex === null) {
-    element.addEventListener('blur', () => {
-      element.removeAttribute('tabindex');
-    }, { once: true });
+  if (elementCacheObserver) {
+    pageHasShadowRootsCache = found;
   }
+  return found;
 }
 
 /**
- * Navigate to the next heading on the page
+ * Find all elements matching a selector, including inside open shadow roots and same-origin
+ * frames, in composed-tree order
+ * @param {string} selector - CSS selector
+ * @returns {Array<Element>} - Matching elements
  */
-function navigateToNextHeading() {
-  const headings = getAllHeadings();
-
-  if (headings.length === 0) {
-    return;
+function querySelectorAllDeep(selector) {
+  // Most pages have no web components or frames, so use the fast native query when possible
+  if (!pageHasShadowRoots()) {
+    return Array.from(document.querySelectorAll(selector));
   }
 
-  // Update the list if it changed
-  lastHeadingsList = headings;
-
-  // Move to next heading
-  currentHeadingIndex = (currentHeadingIndex + 1) % headings.length;
+  const results = [];
+  const visit = (element) => {
+    if (element.matches(selector)) {
+      results.push(element);
+    }
+    getComposedChildren(element).forEach(visit);
+  };
 
-  const heading = headings[currentHeadingIndex];
+  if (document.documentElement) {
+    visit(document.documentElement);
+  }
 
-  // Focus the heading
-  const headingLevel = getHeadingLevel(heading);
-  makeElementFocusableAndFocus(heading, `Navigate to next heading (h) - H${headingLevel}`);
+  return results;
 }
 
 /**
- * Navigate to the previous heading on the page
+ * Get the list of composed-tree ancestors of a node, starting with the node itself
+ * @param {Node} node - The node
+ * @returns {Array<Node>} - The node followed by its composed ancestors up to the document
  */
-function navigateToPreviousHeading() {
-  const headings = getAllHeadings();
+function getComposedAncestors(node) {
+  const ancestors = [];
+  for (let current = node; current; current = getComposedParent(current)) {
+    ancestors.push(current);
+  }
+  return ancestors;
+}
 
-  if (headings.length === 0) {
-    return;
+/**
+ * Compare two nodes by composed-tree order (document order that also accounts for shadow DOM)
+ * @param {Node} a - First node
+ * @param {Node} b - Second node
+ * @returns {number} - Negative if a comes first, positive if b comes first, 0 if they are the same node.
+ *   An ancestor comes before its descendants.
+ */
+function compareComposedPosition(a, b) {
+  if (a === b) {
+    return 0;
   }
 
-  // Update the list if it changed
-  lastHeadingsList = headings;
+  const ancestorsA = getComposedAncestors(a).reverse();
+  const ancestorsB = getComposedAncestors(b).reverse();
 
-  // Move to previous heading (wrap around if at the beginning)
-  if (currentHeadingIndex <= 0) {
-    currentHeadingIndex = headings.length - 1;
-  } else {
-    currentHeadingIndex = currentHeadingIndex - 1;
+  // Find where the two ancestor chains diverge
+  let depth = 0;
+  while (depth < ancestorsA.length && depth < ancestorsB.length && ancestorsA[depth] === ancestorsB[depth]) {
+    depth++;
   }
 
-  const heading = headings[currentHeadingIndex];
+  // One node is an ancestor of the other
+  if (depth === ancestorsA.length) {
+    return -1;
+  }
+  if (depth === ancestorsB.length) {
+    return 1;
+  }
+
+  const childA = ancestorsA[depth];
+  const childB = ancestorsB[depth];
+  const parent = ancestorsA[depth - 1];
+
+  // Siblings assigned to a slot are ordered by their assignment order
+  if (parent && parent.tagName === 'SLOT' && childA.assignedSlot === parent && childB.assignedSlot === parent) {
+    const assigned = parent.assignedNodes();
+    return assigned.indexOf(childA) - assigned.indexOf(childB);
+  }
 
-  // Focus the heading
-  const headingLevel = getHeadingLevel(heading);
-  makeElementFocusableAndFocus(heading, `Navigate to previous heading (Shift+H) - H${headingLevel}`);
+  return childA.compareDocumentPosition(childB) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
 }
 
 /**
- * Get all landmarks on the page (both explicit ARIA roles and implicit HTML landmarks)
- * @returns {Array<Element>} - Array of landmark elements
+ * Sort elements by composed-tree order
+ * @param {Array<Element>} elements - The elements to sort (sorted in place)
+ * @returns {Array<Element>} - The sorted array
  */
-function getAllLandmarks() {
-  const landmarks = [];
+function sortByDocumentOrder(elements) {
+  // Without shadow roots or frames, document order and composed-tree order are the same
+  if (!pageHasShadowRoots()) {
+    return elements.sort((a, b) => {
+      const position = a.compareDocumentPosition(b);
+      if (position & Node.DOCUMENT_POSITION_FOLLOWING) {
+        return -1;
+      } else if (position & Node.DOCUMENT_POSITION_PRECEDING) {
+        return 1;
+      }
+      return 0;
+    });
+  }
 
-  // Explicit ARIA landmark roles
-  const ariaLandmarkRoles = [
-    'banner',
-    'navigation',
-    'main',
-    'complementary',
-    'contentinfo',
-    'search',
-    'form',
-    'region'
-  ];
+  return elements.sort(compareComposedPosition);
+}
 
-  // Find elements with explicit ARIA landmark roles
-  ariaLandmarkRoles.forEach(role => {
-    const elements = document.querySelectorAll(`[role="${role}"]`);
-    landmarks.push(...Array.from(elements));
-  });
+/**
+ * Check whether a node is inside another node in the composed tree
+ * @param {Node} ancestor - The possible ancestor
+ * @param {Node} node - The node to check
+ * @returns {boolean} - True if ancestor contains node (or is node)
+ */
+function composedContains(ancestor, node) {
+  for (let current = node; current; current = getComposedParent(current)) {
+    if (current === ancestor) {
+      return true;
+    }
+  }
+  return false;
+}
 
-  // Find implicit HTML landmarks
-  // <header> creates banner (unless nested in article/section)
-  const headers = document.querySelectorAll('header');
-  headers.forEach(header => {
-    // Only if not nested in article or section
-    if (!header.closest('article, section')) {
-      landmarks.push(header);
+/**
+ * Find the closest ancestor (or the element itself) matching a selector, crossing shadow boundaries
+ * @param {Element} element - The element to start from
+ * @param {string} selector - CSS selector
+ * @returns {Element|null} - The matching element, or null
+ */
+function closestComposed(element, selector) {
+  for (let current = element; current; current = getComposedParent(current)) {
+    if (current.nodeType === Node.ELEMENT_NODE && current.matches(selector)) {
+      return current;
     }
-  });
+  }
+  return null;
+}
 
-  // <nav> creates navigation
-  const navs = document.querySelectorAll('nav');
-  landmarks.push(...Array.from(navs));
+/**
+ * Get the focused element, looking inside open shadow roots and same-origin frames
+ * (document.activeElement only reports the outermost shadow host or frame)
+ * @returns {Element|null} - The deepest focused element
+ */
+function getDeepActiveElement() {
+  let activeEl = document.activeElement;
 
-  // <main> creates main
-  const mains = document.querySelectorAll('main');
-  landmarks.push(...Array.from(mains));
+  while (activeEl) {
+    if (activeEl.shadowRoot && activeEl.shadowRoot.activeElement) {
+      activeEl = activeEl.shadowRoot.activeElement;
+      continue;
+    }
 
-  // <footer> creates contentinfo (unless nested in article/section)
-  const footers = document.querySelectorAll('footer');
-  footers.forEach(footer => {
-    // Only if not nested in article or section
-    if (!footer.closest('article, section')) {
-      landmarks.push(footer);
+    const frameDocument = getFrameDocument(activeEl);
+    if (frameDocument && frameDocument.activeElement) {
+      activeEl = frameDocument.activeElement;
+      continue;
     }
-  });
 
-  // <aside> creates complementary
-  const asides = document.querySelectorAll('aside');
-  landmarks.push(...Array.from(asides));
+    break;
+  }
 
-  // <section> with aria-label or aria-labelledby creates region
-  const sections = document.querySelectorAll('section[aria-label], section[aria-labelledby]');
-  landmarks.push(...Array.from(sections));
+  return activeEl;
+}
 
-  // <form> with aria-label or aria-labelledby creates form landmark
-  const forms = document.querySelectorAll('form[aria-label], form[aria-labelledby]');
-  landmarks.push(...Array.from(forms));
+// Element lists that are expensive to build, cached until the page changes.
+// The MutationObserver only marks lists as stale; they are rebuilt on the next key press that
+// needs them, so a burst of DOM updates (a React re-render, a streaming diff) costs one rebuild.
+const elementCache = new Map();
+let elementCacheObserver = null;
+let pageHasShadowRootsCache = null; // Whether the page has shadow roots or frames (see pageHasShadowRoots)
+let observedCacheRoots = new WeakSet();
+
+// Attributes that can change which elements belong in each list
+const ELEMENT_CACHE_ATTRIBUTES = {
+  hidden: ['headings', 'landmarks', 'tabStops', 'scrollRegions'],
+  style: ['headings', 'landmarks', 'tabStops', 'scrollRegions'],
+  class: ['headings', 'landmarks', 'tabStops', 'scrollRegions'],
+  role: ['headings', 'landmarks', 'tabStops'],
+  'aria-hidden': ['headings', 'landmarks', 'tabStops'],
+  inert: ['headings', 'landmarks', 'tabStops'],
+  open: ['headings', 'landmarks', 'tabStops', 'scrollRegions'],
+  'aria-label': ['landmarks'],
+  'aria-labelledby': ['landmarks'],
+  title: ['landmarks'],
+  tabindex: ['tabStops'],
+  disabled: ['tabStops'],
+  href: ['tabStops'],
+  contenteditable: ['tabStops'],
+  controls: ['tabStops'],
+  type: ['tabStops']
+};
 
-  // Remove duplicates (in case an element has both explicit role and implicit)
-  const uniqueLandmarks = landmarks.filter((landmark, index) =>
-    landmarks.indexOf(landmark) === index
-  );
+/**
+ * Get a cached element list, building it if the page has changed since it was last built
+ * @param {string} type - Cache key ('headings', 'landmarks', 'tabStops' or 'scrollRegions')
+ * @param {function(): Array<Element>} build - Builds the list from the page
+ * @returns {Array<Element>} - The elements, in document order
+ */
+function getCachedElements(type, build) {
+  // Without an observer nothing would tell us the list went stale, so don't cache
+  if (!elementCacheObserver) {
+    return build();
+  }
 
-  // Filter out hidden landmarks
-  const visibleLandmarks = uniqueLandmarks.filter(landmark => {
-    const style = window.getComputedStyle(landmark);
-    const isVisible = style.display !== 'none' &&
+  if (!elementCache.has(type)) {
+    elementCache.set(type, build());
+    // Shadow roots and frames found while building need their own observation
+    observeComposedRoots();
+    if (DEBUG_FOCUS) {
+      console.log(`[EasyKeyNav] Rebuilt ${type} cache: ${elementCache.get(type).length} elements`);
+    }
+  }
+
+  // Callers get their own copy so they can't change the cached list
+  return elementCache.get(type).slice();
+}
+
+/**
+ * Mark cached element lists as stale
+ * @param {Array<string>} [types] - Lists to invalidate (all lists if omitted)
+ */
+function invalidateElementCache(types) {
+  if (!types) {
+    elementCache.clear();
+    // Shadow hosts and frames are only added or removed by changes that invalidate every list
+    pageHasShadowRootsCache = null;
+    return;
+  }
+  types.forEach(type => elementCache.delete(type));
+}
+
+/**
+ * Check whether a node is part of EasyKeyNav's own UI (announcer, skip links, dialogs, hints)
+ * @param {Node} node - The node
+ * @returns {boolean} - True if changes to the node don't affect the page's element lists
+ */
+function isEasyKeyNavNode(node) {
+  const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  return !!(element && element.closest('[id^="easynav-"]'));
+}
+
+/**
+ * Invalidate the lists affected by a batch of DOM changes
+ * @param {Array<MutationRecord>} records - The changes
+ */
+function handleElementCacheMutations(records) {
+  const stale = new Set();
+
+  for (const record of records) {
+    if (isEasyKeyNavNode(record.target)) {
+      continue;
+    }
+
+    if (record.type === 'childList') {
+      const nodes = [...record.addedNodes, ...record.removedNodes];
+      // Adding or removing EasyKeyNav's own UI doesn't change the page
+      if (nodes.length > 0 && nodes.every(isEasyKeyNavNode)) {
+        continue;
+      }
+      invalidateElementCache();
+      return;
+    }
+
+    (ELEMENT_CACHE_ATTRIBUTES[record.attributeName] || []).forEach(type => stale.add(type));
+  }
+
+  invalidateElementCache([...stale]);
+}
+
+/**
+ * Observe a document or shadow root for changes that affect the cached lists
+ * @param {Document|ShadowRoot} root - The root to observe
+ */
+function observeCacheRoot(root) {
+  if (!elementCacheObserver || observedCacheRoots.has(root)) {
+    return;
+  }
+
+  elementCacheObserver.observe(root, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: Object.keys(ELEMENT_CACHE_ATTRIBUTES)
+  });
+  observedCacheRoots.add(root);
+}
+
+/**
+ * Observe every open shadow root and same-origin frame document on the page
+ * (a document observer doesn't see changes inside them)
+ */
+function observeComposedRoots() {
+  if (!pageHasShadowRoots()) {
+    return;
+  }
+
+  const visit = (element) => {
+    if (element.shadowRoot) {
+      observeCacheRoot(element.shadowRoot);
+    }
+    const frameDocument = getFrameDocument(element);
+    if (frameDocument) {
+      observeCacheRoot(frameDocument);
+    }
+    getComposedChildren(element).forEach(visit);
+  };
+
+  if (document.documentElement) {
+    visit(document.documentElement);
+  }
+}
+
+/**
+ * Start keeping the element cache current
+ */
+function startElementCache() {
+  if (elementCacheObserver) {
+    return;
+  }
+
+  elementCacheObserver = new MutationObserver(handleElementCacheMutations);
+  observeCacheRoot(document);
+  // Media queries can show or hide elements without any DOM change
+  window.addEventListener('resize', handleCacheResize);
+}
+
+/**
+ * Stop observing the page and drop the cached lists
+ */
+function stopElementCache() {
+  if (elementCacheObserver) {
+    elementCacheObserver.disconnect();
+    elementCacheObserver = null;
+  }
+  observedCacheRoots = new WeakSet();
+  window.removeEventListener('resize', handleCacheResize);
+  invalidateElementCache();
+}
+
+/**
+ * Invalidate the cache when the window is resized
+ */
+function handleCacheResize() {
+  invalidateElementCache();
+}
+
+// Single-page apps change pages without a reload: the URL changes through history.pushState and
+// the body is re-rendered, which can remove the skip links and announcer and leave the elements
+// list and hints pointing at the previous view. The page's own pushState calls can't be seen from
+// a content script, so page changes are noticed through the Navigation API, popstate and DOM
+// changes, and confirmed by comparing URLs.
+let pageObserver = null;
+let currentPageUrl = null;
+let pageChangeStartTime = null;
+let pageChangeFocusedElement = null;
+let pageSettleTimeout = null;
+
+// A new view counts as rendered once the DOM has been quiet this long (ms)...
+const PAGE_SETTLE_DELAY = 300;
+// ...or this long after the URL changed, for pages that never stop updating (ms)
+const PAGE_SETTLE_LIMIT = 3000;
+
+/**
+ * Get the URL that identifies the current view
+ * @returns {string} - The URL, without the hash unless the site uses hash routing ("#/inbox")
+ */
+function getPageUrl() {
+  const hash = window.location.hash;
+  if (hash.startsWith('#/') || hash.startsWith('#!')) {
+    return window.location.href;
+  }
+  // Following an in-page link only changes the hash; that isn't a new page
+  return window.location.href.split('#')[0];
+}
+
+/**
+ * Start watching for client-side page changes and for EasyKeyNav's UI being removed
+ */
+function startPageWatch() {
+  if (pageObserver) {
+    return;
+  }
+
+  currentPageUrl = getPageUrl();
+  pageObserver = new MutationObserver(handlePageMutations);
+  pageObserver.observe(document, { childList: true, subtree: true });
+  window.addEventListener('popstate', checkForPageChange);
+  if (window.navigation) {
+    // Fires for pushState and replaceState too, which popstate doesn't
+    window.navigation.addEventListener('currententrychange', checkForPageChange);
+  }
+}
+
+/**
+ * Stop watching for page changes
+ */
+function stopPageWatch() {
+  if (pageObserver) {
+    pageObserver.disconnect();
+    pageObserver = null;
+  }
+  window.removeEventListener('popstate', checkForPageChange);
+  if (window.navigation) {
+    window.navigation.removeEventListener('currententrychange', checkForPageChange);
+  }
+  clearTimeout(pageSettleTimeout);
+  pageSettleTimeout = null;
+  pageChangeStartTime = null;
+  pageChangeFocusedElement = null;
+}
+
+/**
+ * Handle DOM changes: put back removed skip links and announcer, and look for a new URL
+ * (routers that don't use the Navigation API are noticed when they render the new view)
+ * @param {Array<MutationRecord>} records - The changes
+ */
+function handlePageMutations(records) {
+  if (records.every(record => isEasyKeyNavNode(record.target))) {
+    return;
+  }
+
+  restoreEasyKeyNavUi();
+  checkForPageChange();
+  scheduleSkipLinksUpdate();
+
+  // Still rendering the new view: wait for it to finish
+  if (pageChangeStartTime !== null) {
+    schedulePageSettle();
+  }
+}
+
+/**
+ * Add the skip links and announcer again if the page removed them (e.g. by re-rendering the body)
+ */
+function restoreEasyKeyNavUi() {
+  if (skipLinksContainer && !skipLinksContainer.isConnected) {
+    if (DEBUG_FOCUS) {
+      console.log('[EasyKeyNav] Skip links were removed by the page, adding them again');
+    }
+    skipLinksContainer = null;
+    addSkipLinks();
+  }
+
+  if (announcerElement && !announcerElement.isConnected) {
+    if (DEBUG_FOCUS) {
+      console.log('[EasyKeyNav] Announcer was removed by the page, adding it again');
+    }
+    removeAnnouncer();
+    addAnnouncer();
+  }
+}
+
+/**
+ * Check whether the URL has changed since the last check, and start handling the new page if so
+ */
+function checkForPageChange() {
+  const url = getPageUrl();
+  if (url === currentPageUrl) {
+    return;
+  }
+
+  currentPageUrl = url;
+  if (DEBUG_FOCUS) {
+    console.log(`[EasyKeyNav] Page changed to ${url}`);
+  }
+
+  resetNavigationState();
+  pageChangeStartTime = Date.now();
+  pageChangeFocusedElement = getDeepActiveElement();
+  schedulePageSettle();
+}
+
+/**
+ * Forget everything that belongs to the previous view
+ */
+function resetNavigationState() {
+  invalidateElementCache();
+  exitHintMode();
+  pendingMarkAction = null;
+
+  // The elements list, command palette, find bar, marks dialog and audit report show the previous
+  // view's elements, and the element they would return focus to may be gone
+  closeElementsList({ restoreFocus: false });
+  closeCommandPalette({ restoreFocus: false });
+  closeFindBar({ restoreFocus: false });
+  closeMarksDialog({ restoreFocus: false });
+  closeAuditDialog({ restoreFocus: false });
+  if (helpDialogElement && !helpDialogElement.isConnected) {
+    closeHelpDialog({ restoreFocus: false });
+  }
+  if (lastFocusedElement && !lastFocusedElement.isConnected) {
+    lastFocusedElement = null;
+  }
+}
+
+/**
+ * Run finishPageChange once the new view has stopped changing
+ */
+function schedulePageSettle() {
+  clearTimeout(pageSettleTimeout);
+  const remaining = PAGE_SETTLE_LIMIT - (Date.now() - pageChangeStartTime);
+  pageSettleTimeout = setTimeout(finishPageChange, Math.max(0, Math.min(PAGE_SETTLE_DELAY, remaining)));
+}
+
+/**
+ * Handle a new view once it has rendered: optionally focus its main heading and announce its title
+ */
+function finishPageChange() {
+  const focusedAtChange = pageChangeFocusedElement;
+  pageSettleTimeout = null;
+  pageChangeStartTime = null;
+  pageChangeFocusedElement = null;
+
+  restoreEasyKeyNavUi();
+  updateSkipLinks();
+
+  if (!pageChangeFocusEnabled) {
+    return;
+  }
+
+  // Leave focus alone if the user or the page has already moved it
+  const activeElement = getDeepActiveElement();
+  if (activeElement && activeElement !== document.body && activeElement !== focusedAtChange) {
+    if (DEBUG_FOCUS) {
+      console.log('[EasyKeyNav] Page change: focus was already moved, leaving it', activeElement);
+    }
+    return;
+  }
+
+  const heading = findMainHeading();
+  if (heading) {
+    makeElementFocusableAndFocus(heading, 'Page change - focus main heading', { recordHistory: false });
+  }
+  announce(document.title ? `Page loaded: ${document.title}` : 'Page loaded');
+}
+
+/**
+ * Find the heading that introduces the page: the first h1 in the main landmark, then the
+ * first h1 anywhere, then the first heading in the main landmark
+ * @returns {Element|null} - The heading, or null if the page has none
+ */
+function findMainHeading() {
+  const headings = getAllHeadings();
+  const main = document.querySelector('main, [role="main"]');
+  const mainHeadings = main ? headings.filter(heading => main.contains(heading)) : headings;
+  const isTopLevel = heading => getHeadingLevel(heading) === 1;
+
+  return mainHeadings.find(isTopLevel) || headings.find(isTopLevel) || mainHeadings[0] || null;
+}
+
+/**
+ * Get all headings on the page (cached, see getCachedElements)
+ * @returns {Array<Element>} - Array of heading elements
+ */
+function getAllHeadings() {
+  return getCachedElements('headings', findAllHeadings);
+}
+
+/**
+ * Find all headings on the page (both HTML headings and ARIA role="heading")
+ * @returns {Array<Element>} - Array of heading elements
+ */
+function findAllHeadings() {
+  // Get HTML heading elements (h1-h6)
+  const htmlHeadings = querySelectorAllDeep('h1, h2, h3, h4, h5, h6');
+
+  // Get elements with role="heading"
+  const ariaHeadings = querySelectorAllDeep('[role="heading"]');
+
+  // Combine both lists
+  const allHeadings = [...htmlHeadings, ...ariaHeadings];
+
+  // Remove duplicates (in case an element has both)
+  const uniqueHeadings = [...new Set(allHeadings)];
+
+  // Filter out hidden headings (display:none, visibility:hidden, or aria-hidden)
+  // and headings inside EasyKeyNav's own dialogs
+  const visibleHeadings = uniqueHeadings.filter(heading => {
+    if (heading.closest('.easynav-dialog')) {
+      return false;
+    }
+
+    const style = window.getComputedStyle(heading);
+    const isVisible = style.display !== 'none' &&
                      style.visibility !== 'hidden' &&
-                     landmark.getAttribute('aria-hidden') !== 'true';
+                     heading.getAttribute('aria-hidden') !== 'true';
     return isVisible;
   });
 
-  // Sort by document order
-  visibleLandmarks.sort((a, b) => {
-    const position = a.compareDocumentPosition(b);
-    if (position & Node.DOCUMENT_POSITION_FOLLOWING) {
-      return -1;
-    } else if (position & Node.DOCUMENT_POSITION_PRECEDING) {
-      return 1;
+  // Sort by document order (composed-tree order when shadow DOM is present)
+  sortByDocumentOrder(visibleHeadings);
+
+  return visibleHeadings;
+}
+
+/**
+ * Get the heading level for a heading element
+ * @param {Element} heading - The heading element
+ * @returns {number} - The heading level (1-6)
+ */
+function getHeadingLevel(heading) {
+  // Check if it's an HTML heading tag
+  const match = heading.tagName.match(/^H([1-6])$/);
+  if (match) {
+    return parseInt(match[1]);
+  }
+
+  // Check for aria-level attribute
+  const ariaLevel = heading.getAttribute('aria-level');
+  if (ariaLevel) {
+    const level = parseInt(ariaLevel);
+    return isNaN(level) ? 1 : Math.min(Math.max(level, 1), 6);
+  }
+
+  // Default to level 2 for role="heading" without aria-level
+  return 2;
+}
+
+/**
+ * Make an element focusable and focus it, preserving original tabindex
+ * @param {Element} element - The element to focus
+ * @param {string} action - Description of the action for debug logging
+ * @param {{recordHistory: boolean}} [options] - Whether to remember the move in the focus history
+ *   (false when focus is only being put back, such as after closing a dialog)
+ */
+function makeElementFocusableAndFocus(element, action, { recordHistory = true } = {}) {
+  if (recordHistory) {
+    recordFocusJump(element);
+  }
+
+  const originalTabIndex = element.getAttribute('tabindex');
+
+  // Natively focusable elements (links, form controls) keep their place in the tab order
+  const needsTabIndex = originalTabIndex === null && getTabIndex(element) === null;
+
+  // Make element focusable if it's not already
+  if (needsTabIndex) {
+    element.setAttribute('tabindex', '-1');
+  }
+
+  // Focus the element
+  element.focus();
+  if (action) {
+    logFocusChange(action);
+  }
+
+  // Restore original tabindex after blur (if it wasn't already focusable)
+  if (needsTabIndex) {
+    element.addEventListener('blur', () => {
+      element.removeAttribute('tabindex');
+    }, { once: true });
+  }
+}
+
+// Focus history: the places EasyKeyNav's commands moved focus from and to, so focusBack and
+// focusForward can return to them like the browser's back and forward buttons
+const FOCUS_HISTORY_LIMIT = 50;
+let focusHistory = []; // Entries are {element, locator}
+let focusHistoryIndex = -1;
+let lastPageFocusElement = null; // The last element focused on the page, outside EasyKeyNav's own UI
+
+/**
+ * Remember a jump in the focus history: where focus was, then where it is going
+ * @param {Element} target - The element focus is about to move to
+ */
+function recordFocusJump(target) {
+  if (lastPageFocusElement && lastPageFocusElement.isConnected && lastPageFocusElement !== target) {
+    addFocusHistoryEntry(lastPageFocusElement);
+  }
+  addFocusHistoryEntry(target);
+}
+
+/**
+ * Add an element after the current position in the focus history, dropping any entries that
+ * were ahead of it (as a new page drops the browser's forward history) and the oldest entries
+ * once the history is full
+ * @param {Element} element - The element to remember
+ */
+function addFocusHistoryEntry(element) {
+  const current = focusHistory[focusHistoryIndex];
+  if (current && current.element === element) {
+    return;
+  }
+
+  focusHistory = focusHistory.slice(0, focusHistoryIndex + 1);
+  focusHistory.push({ element, locator: getElementLocator(element) });
+  if (focusHistory.length > FOCUS_HISTORY_LIMIT) {
+    focusHistory.shift();
+  }
+  focusHistoryIndex = focusHistory.length - 1;
+}
+
+/**
+ * Track where focus is on the page, and with the focusHistoryAll setting remember every move
+ * (Tab, clicks) in the focus history
+ */
+function handleFocusHistoryFocusIn() {
+  const element = getDeepActiveElement();
+
+  // Focus entering a same-origin frame is tracked by the listener inside the frame
+  if (!element || element === element.ownerDocument.body || getFrameDocument(element) ||
+      element.closest('#easynav-skip-links, .easynav-dialog')) {
+    return;
+  }
+
+  lastPageFocusElement = element;
+  if (focusHistoryAllFocus) {
+    addFocusHistoryEntry(element);
+  }
+}
+
+/**
+ * Get the normalized text used to recognize an element again after the page re-renders it
+ * @param {Element} element - The element
+ * @returns {string} - Its aria-label or text content, whitespace collapsed
+ */
+function getLocatorText(element) {
+  const text = element.getAttribute('aria-label') || element.textContent || '';
+  return text.replace(/\s+/g, ' ').trim().slice(0, 200);
+}
+
+/**
+ * Get the path to an element from its nearest ancestor with an id, or else from the top of its
+ * document or shadow root
+ * @param {Element} element - The element
+ * @returns {{anchorId: string|null, steps: Array<{tag: string, index: number}>}} - The id the path
+ *   starts from, and each step's tag and position among the siblings with that tag
+ */
+function getElementPath(element) {
+  const steps = [];
+
+  for (let node = element; node; node = node.parentElement) {
+    if (node.id) {
+      return { anchorId: node.id, steps };
+    }
+    // The top element of a shadow root has the shadow root, not an element, as its parent
+    const parent = node.parentElement || node.parentNode;
+    if (node === node.ownerDocument.documentElement || !parent || !parent.children) {
+      break;
+    }
+    const siblings = Array.from(parent.children).filter(child => child.localName === node.localName);
+    steps.unshift({ tag: node.localName, index: siblings.indexOf(node) });
+  }
+
+  return { anchorId: null, steps };
+}
+
+/**
+ * Describe an element in a way that survives re-rendering and can be stored: its path (see
+ * getElementPath), its tag and its text
+ * @param {Element} element - The element
+ * @param {{occurrence: boolean}} [options] - Whether to also count which of the elements with that
+ *   tag and text it is. That searches the whole page, so it is only worth it for locators that are
+ *   kept across reloads (marks); the focus history records a locator on every jump.
+ * @returns {Object} - The locator, for resolveElementLocator
+ */
+function getElementLocator(element, { occurrence = false } = {}) {
+  const tag = element.localName;
+  const text = getLocatorText(element);
+  const { anchorId, steps } = getElementPath(element);
+
+  const locator = {
+    // Paths are followed from the top-level document; elements in frames and shadow trees are
+    // found by their text
+    inDocument: element.getRootNode() === document,
+    anchorId,
+    steps,
+    tag,
+    text,
+    occurrence: 0
+  };
+
+  if (occurrence) {
+    for (const candidate of querySelectorAllDeep(tag)) {
+      if (candidate === element) {
+        break;
+      }
+      if (getLocatorText(candidate) === text) {
+        locator.occurrence++;
+      }
+    }
+  }
+
+  return locator;
+}
+
+/**
+ * Find the element a locator describes
+ * @param {Object} locator - A locator from getElementLocator
+ * @returns {Element|null} - The element, or null if it isn't on the page
+ */
+function resolveElementLocator(locator) {
+  const isMatch = candidate => candidate && candidate.localName === locator.tag && getLocatorText(candidate) === locator.text;
+
+  if (locator.inDocument) {
+    let node = locator.anchorId ? document.getElementById(locator.anchorId) : document.documentElement;
+    for (const step of locator.steps) {
+      if (!node) {
+        break;
+      }
+      node = Array.from(node.children).filter(child => child.localName === step.tag)[step.index];
+    }
+    if (isMatch(node)) {
+      return node;
+    }
+  }
+
+  const sameText = querySelectorAllDeep(locator.tag).filter(isMatch);
+  return sameText[Math.min(locator.occurrence, sameText.length - 1)] || null;
+}
+
+/**
+ * Find the element a focus history entry refers to: the element itself if it is still on the
+ * page, or else the element that replaced it when the page re-rendered
+ * @param {{element: Element, locator: Object}} entry - The history entry
+ * @returns {Element|null} - The element, or null if it is gone
+ */
+function resolveFocusHistoryEntry(entry) {
+  if (entry.element.isConnected) {
+    return entry.element;
+  }
+
+  const found = resolveElementLocator(entry.locator);
+  if (found) {
+    entry.element = found;
+    if (DEBUG_FOCUS) {
+      console.log('[EasyKeyNav] Focus history: found re-rendered element', found);
+    }
+  }
+  return found;
+}
+
+/**
+ * Move focus back or forward through the focus history, skipping entries whose element is gone
+ * @param {number} direction - -1 to go back, 1 to go forward
+ */
+function moveInFocusHistory(direction) {
+  // Focus may have moved since the last jump; remember where it is so Forward can come back
+  if (lastPageFocusElement && lastPageFocusElement.isConnected) {
+    addFocusHistoryEntry(lastPageFocusElement);
+  }
+
+  for (let index = focusHistoryIndex + direction; index >= 0 && index < focusHistory.length; index += direction) {
+    const element = resolveFocusHistoryEntry(focusHistory[index]);
+    if (!element) {
+      continue;
+    }
+
+    focusHistoryIndex = index;
+    const description = describeElement(element);
+    makeElementFocusableAndFocus(element, `Focus history ${direction < 0 ? 'back' : 'forward'} - ${description}`, { recordHistory: false });
+    announce(getNavigationAnnouncement(description, index, focusHistory.length, false, direction));
+    return;
+  }
+
+  announce(direction < 0 ? 'No earlier focus in history' : 'No later focus in history', 'assertive');
+}
+
+/**
+ * Get the point in the document that relative navigation starts from.
+ * This is the focused element, or the caret position when the user clicked into
+ * non-focusable content (which leaves focus on the body).
+ * @returns {Node|null} - The reference node, or null to fall back to the viewport position
+ */
+function getNavigationReference() {
+  const activeEl = getDeepActiveElement();
+  if (activeEl && activeEl !== document.body && activeEl !== document.documentElement) {
+    return activeEl;
+  }
+
+  // Clicking into text moves the caret even though focus stays on the body
+  const selection = window.getSelection();
+  const anchor = selection && selection.anchorNode;
+  if (anchor && anchor !== document.body && document.body && document.body.contains(anchor)) {
+    return anchor;
+  }
+
+  return null;
+}
+
+/**
+ * Work out where the user currently is relative to a list of elements in document order
+ * @param {Array<Element>} elements - Elements sorted in document order
+ * @returns {{before: number, current: number}} - before is the number of elements that start
+ *   before the user's position; current is the index of the element the user is on (or -1)
+ */
+function getListPosition(elements) {
+  const reference = getNavigationReference();
+
+  if (!reference) {
+    // Nothing focused: use the top of the viewport as the current position
+    const before = elements.findIndex(element => element.getBoundingClientRect().top >= 0);
+    return { before: before === -1 ? elements.length : before, current: -1 };
+  }
+
+  let before = 0;
+  let current = -1;
+
+  elements.forEach((element, index) => {
+    if (element === reference) {
+      current = index;
+    } else if (compareComposedPosition(element, reference) < 0) {
+      // Ancestors of the reference also precede it, so a landmark containing focus counts as before
+      before++;
+    }
+  });
+
+  return { before, current };
+}
+
+/**
+ * Find the next or previous element relative to the user's position, wrapping around at either end
+ * @param {Array<Element>} elements - Elements sorted in document order
+ * @param {number} direction - 1 to search forward, -1 to search backward
+ * @param {function(Element): boolean} [predicate] - Optional filter for matching elements
+ * @returns {{index: number, wrapped: boolean}} - Index of the match (-1 if none) and whether the search wrapped
+ */
+function findRelativeIndex(elements, direction, predicate = () => true) {
+  const count = elements.length;
+  const { before, current } = getListPosition(elements);
+  const start = direction > 0 ? before + (current === -1 ? 0 : 1) : before - 1;
+
+  for (let step = 0; step < count; step++) {
+    const position = start + direction * step;
+    const index = ((position % count) + count) % count;
+    if (predicate(elements[index])) {
+      return { index, wrapped: position < 0 || position >= count };
+    }
+  }
+
+  return { index: -1, wrapped: false };
+}
+
+/**
+ * Get the index of the element the user is currently in: the focused element itself,
+ * or the closest element that starts before the user's position
+ * @param {Array<Element>} elements - Elements sorted in document order
+ * @returns {number} - Index of the current element, or -1 if the user is before all of them
+ */
+function getCurrentIndex(elements) {
+  const { before, current } = getListPosition(elements);
+  return current !== -1 ? current : before - 1;
+}
+
+/**
+ * Move focus to the next or previous element relative to the user's position
+ * @param {Array<Element>} elements - The elements to cycle through, in document order
+ * @param {number} direction - 1 for next, -1 for previous
+ * @param {string} action - Description of the action for debug logging
+ * @param {function(Element): string} describe - Returns a spoken description of the focused element
+ * @param {string} noun - Plural name of the elements, used when there are none (e.g. "headings")
+ */
+function focusElementInList(elements, direction, action, describe, noun) {
+  const { index, wrapped } = findRelativeIndex(elements, direction);
+
+  if (index === -1) {
+    if (DEBUG_FOCUS) {
+      console.warn(`[EasyKeyNav] ${action}: no ${noun} found on page`);
+    }
+    announce(`No ${noun} on this page`, 'assertive');
+    return;
+  }
+
+  focusNavigationTarget(elements, index, wrapped, direction, action, describe);
+}
+
+/**
+ * Focus an element reached by a navigation command and announce where the user landed
+ * @param {Array<Element>} elements - The list the element belongs to
+ * @param {number} index - Index of the element to focus
+ * @param {boolean} wrapped - Whether navigation wrapped around the end of the list
+ * @param {number} direction - 1 for next, -1 for previous
+ * @param {string} action - Description of the action for debug logging
+ * @param {function(Element): string} describe - Returns a spoken description of the element
+ */
+function focusNavigationTarget(elements, index, wrapped, direction, action, describe) {
+  const element = elements[index];
+  const description = describe(element);
+  const wrapNote = wrapped ? ' (wrapped)' : '';
+
+  makeElementFocusableAndFocus(element, `${action} - ${description}${wrapNote}`);
+  announce(getNavigationAnnouncement(description, index, elements.length, wrapped, direction));
+}
+
+/**
+ * Describe a heading by its level and text
+ * @param {Element} heading - The heading element
+ * @returns {string} - Description such as "Heading level 2, Pricing"
+ */
+function describeHeading(heading) {
+  const text = getElementText(heading);
+  const level = getHeadingLevel(heading);
+  return text ? `Heading level ${level}, ${text}` : `Heading level ${level}`;
+}
+
+/**
+ * Navigate to the next heading on the page
+ */
+function navigateToNextHeading() {
+  focusElementInList(getAllHeadings(), 1, 'Navigate to next heading (h)', describeHeading, 'headings');
+}
+
+/**
+ * Navigate to the previous heading on the page
+ */
+function navigateToPreviousHeading() {
+  focusElementInList(getAllHeadings(), -1, 'Navigate to previous heading (Shift+H)', describeHeading, 'headings');
+}
+
+/**
+ * Navigate to the next or previous heading of a specific level
+ * @param {number} level - The heading level (1-6)
+ * @param {number} direction - 1 for next, -1 for previous
+ */
+function navigateToHeadingAtLevel(level, direction) {
+  const headings = getAllHeadings();
+  const { index, wrapped } = findRelativeIndex(headings, direction, heading => getHeadingLevel(heading) === level);
+
+  if (index === -1) {
+    if (DEBUG_FOCUS) {
+      console.warn(`[EasyKeyNav] No level ${level} headings found on page`);
+    }
+    announce(`No level ${level} headings on this page`, 'assertive');
+    return;
+  }
+
+  const keys = direction > 0 ? `${level}` : `Shift+${level}`;
+  const which = direction > 0 ? 'next' : 'previous';
+  focusNavigationTarget(headings, index, wrapped, direction, `Navigate to ${which} level ${level} heading (${keys})`, describeHeading);
+}
+
+/**
+ * Navigate to the next or previous heading at the same level as the current heading
+ * @param {number} direction - 1 for next, -1 for previous
+ */
+function navigateToSiblingHeading(direction) {
+  const headings = getAllHeadings();
+  const currentHeading = headings[getCurrentIndex(headings)];
+
+  if (!currentHeading) {
+    if (DEBUG_FOCUS) {
+      console.warn('[EasyKeyNav] No heading before the current position');
+    }
+    announce('No heading before the current position', 'assertive');
+    return;
+  }
+
+  const level = getHeadingLevel(currentHeading);
+  const { index, wrapped } = findRelativeIndex(headings, direction, heading =>
+    heading !== currentHeading && getHeadingLevel(heading) === level
+  );
+
+  if (index === -1) {
+    if (DEBUG_FOCUS) {
+      console.warn(`[EasyKeyNav] No other level ${level} headings found on page`);
+    }
+    announce(`No other level ${level} headings on this page`, 'assertive');
+    return;
+  }
+
+  const keys = direction > 0 ? 's' : 'Shift+S';
+  const which = direction > 0 ? 'next' : 'previous';
+  focusNavigationTarget(headings, index, wrapped, direction, `Navigate to ${which} same-level heading (${keys})`, describeHeading);
+}
+
+/**
+ * Navigate to the parent of the current heading (the closest preceding heading with a lower level)
+ */
+function navigateToParentHeading() {
+  const headings = getAllHeadings();
+  const currentIndex = getCurrentIndex(headings);
+
+  if (currentIndex === -1) {
+    if (DEBUG_FOCUS) {
+      console.warn('[EasyKeyNav] No heading before the current position');
+    }
+    announce('No heading before the current position', 'assertive');
+    return;
+  }
+
+  const level = getHeadingLevel(headings[currentIndex]);
+
+  // Search backward without wrapping: a parent always comes before its children
+  for (let index = currentIndex - 1; index >= 0; index--) {
+    if (getHeadingLevel(headings[index]) < level) {
+      focusNavigationTarget(headings, index, false, -1, 'Navigate to parent heading (p)', describeHeading);
+      return;
+    }
+  }
+
+  if (DEBUG_FOCUS) {
+    console.warn(`[EasyKeyNav] Current H${level} heading has no parent heading`);
+  }
+  announce(`No parent heading for this level ${level} heading`, 'assertive');
+}
+
+/**
+ * Get all landmarks on the page (cached, see getCachedElements)
+ * @returns {Array<Element>} - Array of landmark elements
+ */
+function getAllLandmarks() {
+  return getCachedElements('landmarks', findAllLandmarks);
+}
+
+/**
+ * Find all landmarks on the page (both explicit ARIA roles and implicit HTML landmarks)
+ * @returns {Array<Element>} - Array of landmark elements
+ */
+function findAllLandmarks() {
+  const landmarks = [];
+
+  // Explicit ARIA landmark roles
+  const ariaLandmarkRoles = [
+    'banner',
+    'navigation',
+    'main',
+    'complementary',
+    'contentinfo',
+    'search',
+    'form',
+    'region'
+  ];
+
+  // Find elements with explicit ARIA landmark roles
+  ariaLandmarkRoles.forEach(role => {
+    const elements = querySelectorAllDeep(`[role="${role}"]`);
+    landmarks.push(...elements);
+  });
+
+  // Find implicit HTML landmarks
+  // <header> creates banner (unless nested in article/section)
+  const headers = querySelectorAllDeep('header');
+  headers.forEach(header => {
+    // Only if not nested in article or section
+    if (!header.closest('article, section')) {
+      landmarks.push(header);
+    }
+  });
+
+  // <nav> creates navigation
+  const navs = querySelectorAllDeep('nav');
+  landmarks.push(...navs);
+
+  // <main> creates main
+  const mains = querySelectorAllDeep('main');
+  landmarks.push(...mains);
+
+  // <footer> creates contentinfo (unless nested in article/section)
+  const footers = querySelectorAllDeep('footer');
+  footers.forEach(footer => {
+    // Only if not nested in article or section
+    if (!footer.closest('article, section')) {
+      landmarks.push(footer);
+    }
+  });
+
+  // <aside> creates complementary
+  const asides = querySelectorAllDeep('aside');
+  landmarks.push(...asides);
+
+  // <section> with an accessible name creates region
+  const sections = querySelectorAllDeep('section[aria-label], section[aria-labelledby], section[title]');
+  landmarks.push(...sections.filter(section => getAccessibleName(section)));
+
+  // <form> with an accessible name creates form landmark
+  const forms = querySelectorAllDeep('form[aria-label], form[aria-labelledby], form[title]');
+  landmarks.push(...forms.filter(form => getAccessibleName(form)));
+
+  // Remove duplicates (in case an element has both explicit role and implicit)
+  const uniqueLandmarks = [...new Set(landmarks)];
+
+  // Filter out hidden landmarks and EasyKeyNav's own UI (the skip link menu is a <nav>)
+  const visibleLandmarks = uniqueLandmarks.filter(landmark => {
+    if (isEasyKeyNavNode(landmark)) {
+      return false;
+    }
+
+    const style = window.getComputedStyle(landmark);
+    const isVisible = style.display !== 'none' &&
+                     style.visibility !== 'hidden' &&
+                     landmark.getAttribute('aria-hidden') !== 'true';
+    return isVisible;
+  });
+
+  // Sort by document order (composed-tree order when shadow DOM is present)
+  sortByDocumentOrder(visibleLandmarks);
+
+  return visibleLandmarks;
+}
+
+/**
+ * Get the landmark role name for a landmark element
+ * @param {Element} landmark - The landmark element
+ * @returns {string} - The landmark role name
+ */
+function getLandmarkRole(landmark) {
+  // Check for explicit role attribute
+  const explicitRole = landmark.getAttribute('role');
+  if (explicitRole) {
+    return explicitRole;
+  }
+
+  // Determine implicit role from tag name
+  const tagName = landmark.tagName.toLowerCase();
+
+  switch (tagName) {
+    case 'header':
+      // Only banner if not nested in article/section
+      return !landmark.closest('article, section') ? 'banner' : 'header';
+    case 'nav':
+      return 'navigation';
+    case 'main':
+      return 'main';
+    case 'footer':
+      // Only contentinfo if not nested in article/section
+      return !landmark.closest('article, section') ? 'contentinfo' : 'footer';
+    case 'aside':
+      return 'complementary';
+    case 'section':
+      // Only region if it has an accessible name
+      return getAccessibleName(landmark) ? 'region' : 'section';
+    case 'form':
+      // Only form landmark if it has an accessible name
+      return getAccessibleName(landmark) ? 'form' : 'form (unlabeled)';
+    default:
+      return 'landmark';
+  }
+}
+
+/**
+ * Get a descriptive label for a landmark
+ * @param {Element} landmark - The landmark element
+ * @returns {string} - The landmark's accessible name (landmarks never take a name from their
+ *   content, so an unlabeled landmark has none, as in a screen reader's landmark list)
+ */
+function getLandmarkLabel(landmark) {
+  return getAccessibleName(landmark);
+}
+
+// Spoken names for landmark roles that don't read well as-is
+const LANDMARK_ROLE_NAMES = {
+  contentinfo: 'Content info',
+  complementary: 'Complementary',
+  'form (unlabeled)': 'Unlabeled form'
+};
+
+/**
+ * Get the spoken name of a landmark's role
+ * @param {Element} landmark - The landmark element
+ * @returns {string} - Role name such as "Navigation" or "Content info"
+ */
+function getLandmarkRoleName(landmark) {
+  const role = getLandmarkRole(landmark);
+  return LANDMARK_ROLE_NAMES[role] || role.charAt(0).toUpperCase() + role.slice(1);
+}
+
+/**
+ * Describe a landmark by its role and label
+ * @param {Element} landmark - The landmark element
+ * @returns {string} - Description such as "Navigation landmark, Primary"
+ */
+function describeLandmark(landmark) {
+  const roleName = getLandmarkRoleName(landmark);
+  const label = getLandmarkLabel(landmark);
+  return label ? `${roleName} landmark, ${label}` : `${roleName} landmark`;
+}
+
+/**
+ * Navigate to the next landmark on the page
+ */
+function navigateToNextLandmark() {
+  focusElementInList(getAllLandmarks(), 1, 'Navigate to next landmark (l)', describeLandmark, 'landmarks');
+}
+
+/**
+ * Navigate to the previous landmark on the page
+ */
+function navigateToPreviousLandmark() {
+  focusElementInList(getAllLandmarks(), -1, 'Navigate to previous landmark (Shift+L)', describeLandmark, 'landmarks');
+}
+
+/**
+ * Get all links on the page (both HTML links and ARIA role="link")
+ * @returns {Array<Element>} - Array of link elements
+ */
+function getAllLinks() {
+  // Get HTML links with an href (anchors without href are not links)
+  const htmlLinks = querySelectorAllDeep('a[href]');
+
+  // Get elements with role="link"
+  const ariaLinks = querySelectorAllDeep('[role="link"]');
+
+  // Combine both lists
+  const allLinks = [...htmlLinks, ...ariaLinks];
+
+  // Remove duplicates (in case an element has both)
+  const uniqueLinks = allLinks.filter((link, index) =>
+    allLinks.indexOf(link) === index
+  );
+
+  // Filter out hidden links and EasyKeyNav's own skip links
+  const visibleLinks = uniqueLinks.filter(link => {
+    if (link.closest('#easynav-skip-links, .easynav-dialog')) {
+      return false;
+    }
+
+    const style = window.getComputedStyle(link);
+    const isVisible = style.display !== 'none' &&
+                     style.visibility !== 'hidden' &&
+                     !closestComposed(link, '[aria-hidden="true"]');
+    return isVisible;
+  });
+
+  // Sort by document order (composed-tree order when shadow DOM is present)
+  sortByDocumentOrder(visibleLinks);
+
+  return visibleLinks;
+}
+
+/**
+ * Resolve the URL a link points to
+ * @param {Element} link - The link element
+ * @returns {URL|null} - The resolved URL, or null for links without a usable href
+ */
+function getLinkUrl(link) {
+  const href = link.getAttribute('href');
+  if (href === null) {
+    return null;
+  }
+
+  try {
+    return new URL(href, document.baseURI);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check if a link points to a location within the current page (e.g. href="#section")
+ * @param {Element} link - The link element
+ * @returns {boolean} - True if the link targets the current document
+ */
+function isInPageLink(link) {
+  const url = getLinkUrl(link);
+  if (!url || !url.hash) {
+    return false;
+  }
+
+  return url.origin === window.location.origin &&
+         url.pathname === window.location.pathname &&
+         url.search === window.location.search;
+}
+
+/**
+ * Check if a link points to another site
+ * @param {Element} link - The link element
+ * @returns {boolean} - True if the link leaves the current origin
+ */
+function isExternalLink(link) {
+  const url = getLinkUrl(link);
+  if (!url) {
+    return false;
+  }
+
+  // javascript: links run on the current page, so they are never external
+  if (url.protocol === 'javascript:') {
+    return false;
+  }
+
+  return url.origin !== window.location.origin;
+}
+
+/**
+ * Get the text of a link
+ * @param {Element} link - The link element
+ * @returns {string} - The link's accessible name (its text, image alt text or title)
+ */
+function getLinkDescription(link) {
+  return getAccessibleName(link);
+}
+
+/**
+ * Describe a link by its text
+ * @param {Element} link - The link element
+ * @returns {string} - Description such as "Link, Pricing"
+ */
+function describeLink(link) {
+  const text = getLinkDescription(link);
+  return text ? `Link, ${text}` : 'Link';
+}
+
+/**
+ * Navigate to the next link on the page
+ */
+function navigateToNextLink() {
+  focusElementInList(getAllLinks(), 1, 'Navigate to next link (k)', describeLink, 'links');
+}
+
+/**
+ * Navigate to the previous link on the page
+ */
+function navigateToPreviousLink() {
+  focusElementInList(getAllLinks(), -1, 'Navigate to previous link (Shift+K)', describeLink, 'links');
+}
+
+/**
+ * Navigate to the next link that points within the current page
+ */
+function navigateToNextInPageLink() {
+  const links = getAllLinks().filter(isInPageLink);
+  focusElementInList(links, 1, 'Navigate to next in-page link (u)', describeLink, 'in-page links');
+}
+
+/**
+ * Navigate to the previous link that points within the current page
+ */
+function navigateToPreviousInPageLink() {
+  const links = getAllLinks().filter(isInPageLink);
+  focusElementInList(links, -1, 'Navigate to previous in-page link (Shift+U)', describeLink, 'in-page links');
+}
+
+/**
+ * Navigate to the next link that points to another site
+ */
+function navigateToNextExternalLink() {
+  const links = getAllLinks().filter(isExternalLink);
+  focusElementInList(links, 1, 'Navigate to next external link (v)', describeLink, 'external links');
+}
+
+/**
+ * Navigate to the previous link that points to another site
+ */
+function navigateToPreviousExternalLink() {
+  const links = getAllLinks().filter(isExternalLink);
+  focusElementInList(links, -1, 'Navigate to previous external link (Shift+V)', describeLink, 'external links');
+}
+
+// Input types that behave as buttons rather than form fields
+const BUTTON_INPUT_TYPES = ['submit', 'button', 'reset', 'image'];
+
+// Input types that accept typed text
+const TEXT_INPUT_TYPES = ['text', 'search', 'email', 'url', 'tel', 'password', 'number', 'date', 'datetime-local', 'month', 'time', 'week'];
+
+/**
+ * Get all enabled, visible form controls matching a selector, in document order
+ * @param {string} selector - CSS selector for the controls to find
+ * @returns {Array<Element>} - Array of form controls
+ */
+function getFormControls(selector) {
+  const controls = querySelectorAllDeep(selector);
+
+  const usableControls = controls.filter(control => {
+    if (control.closest('#easynav-skip-links, .easynav-dialog')) {
+      return false;
+    }
+
+    // Skip disabled controls (including those inside a disabled fieldset)
+    if (control.matches(':disabled') || control.getAttribute('aria-disabled') === 'true') {
+      return false;
+    }
+
+    // Skip hidden controls (display:none, visibility:hidden, aria-hidden, or type="hidden")
+    if (control.tagName === 'INPUT' && control.type === 'hidden') {
+      return false;
+    }
+
+    const style = window.getComputedStyle(control);
+    const isVisible = style.display !== 'none' &&
+                     style.visibility !== 'hidden' &&
+                     !closestComposed(control, '[aria-hidden="true"]');
+    return isVisible;
+  });
+
+  // querySelectorAllDeep already returns unique elements in document order
+  return usableControls;
+}
+
+/**
+ * Get all form fields on the page (inputs, selects, textareas and ARIA form widgets)
+ * @returns {Array<Element>} - Array of form field elements
+ */
+function getAllFormFields() {
+  const buttonTypes = BUTTON_INPUT_TYPES.map(type => `:not([type="${type}"])`).join('');
+  return getFormControls(
+    `input${buttonTypes}, select, textarea, [role="textbox"], [role="searchbox"], [role="combobox"], [role="checkbox"], [role="radio"], [role="switch"], [role="spinbutton"], [role="slider"]`
+  );
+}
+
+/**
+ * Get all buttons on the page (button elements, role="button" and button-like inputs)
+ * @returns {Array<Element>} - Array of button elements
+ */
+function getAllButtons() {
+  const buttonInputs = BUTTON_INPUT_TYPES.map(type => `input[type="${type}"]`).join(', ');
+  return getFormControls(`button, [role="button"], ${buttonInputs}`);
+}
+
+/**
+ * Get all edit fields on the page (controls that accept typed text)
+ * @returns {Array<Element>} - Array of edit field elements
+ */
+function getAllEditFields() {
+  const textInputs = TEXT_INPUT_TYPES.map(type => `input[type="${type}"]`).join(', ');
+  const controls = getFormControls(
+    `input:not([type]), ${textInputs}, textarea, [contenteditable=""], [contenteditable="true"], [role="textbox"], [role="searchbox"]`
+  );
+
+  // Read-only fields can be focused but not edited
+  return controls.filter(control => !control.readOnly && control.getAttribute('aria-readonly') !== 'true');
+}
+
+/**
+ * Get the label text for a form control
+ * @param {Element} control - The form control
+ * @returns {string} - The control's accessible name (from aria-labelledby, aria-label, its
+ *   labels, its content or value, title or placeholder), or an empty string if it has none
+ */
+function getFormControlLabel(control) {
+  return getAccessibleName(control);
+}
+
+/**
+ * Get a human-readable type for a form control (e.g. "checkbox", "combo box", "button")
+ * @param {Element} control - The form control
+ * @returns {string} - The control type
+ */
+function getFormControlType(control) {
+  // Check for explicit role attribute
+  const role = control.getAttribute('role');
+  if (role) {
+    return role === 'textbox' ? 'edit' : role;
+  }
+
+  const tagName = control.tagName.toLowerCase();
+
+  switch (tagName) {
+    case 'button':
+      return 'button';
+    case 'select':
+      return control.multiple ? 'list box' : 'combo box';
+    case 'textarea':
+      return 'multi-line edit';
+    case 'input': {
+      const type = control.type;
+      if (BUTTON_INPUT_TYPES.includes(type)) {
+        return 'button';
+      }
+      if (type === 'checkbox' || type === 'radio' || type === 'range' || type === 'color' || type === 'file') {
+        return type === 'range' ? 'slider' : type;
+      }
+      if (type === 'number') {
+        return 'spin button';
+      }
+      return type === 'text' ? 'edit' : `${type} edit`;
+    }
+    default:
+      return control.isContentEditable ? 'edit' : tagName;
+  }
+}
+
+/**
+ * Describe a form control by its label and type
+ * @param {Element} control - The form control
+ * @returns {string} - Description such as "Checkbox, Remember me"
+ */
+function describeFormControl(control) {
+  const type = getFormControlType(control);
+  const typeName = type.charAt(0).toUpperCase() + type.slice(1);
+  const label = getFormControlLabel(control);
+  return label ? `${typeName}, ${label}` : `${typeName}, unlabeled`;
+}
+
+/**
+ * Describe any focused element, using the most specific description available
+ * @param {Element} element - The element
+ * @returns {string} - Spoken description of the element
+ */
+function describeElement(element) {
+  if (element.matches('h1, h2, h3, h4, h5, h6, [role="heading"]')) {
+    return describeHeading(element);
+  }
+
+  if (element.matches('a[href], [role="link"]')) {
+    return describeLink(element);
+  }
+
+  if (element.matches('input, select, textarea, button, [role="button"], [role="textbox"], [role="searchbox"], [role="combobox"], [role="checkbox"], [role="radio"], [role="switch"]')) {
+    return describeFormControl(element);
+  }
+
+  const text = getElementText(element);
+  const role = element.getAttribute('role') || element.tagName.toLowerCase();
+  return text ? `${role}, ${text.length > 60 ? `${text.substring(0, 60)}...` : text}` : role;
+}
+
+/**
+ * Navigate to the next form field on the page
+ */
+function navigateToNextFormField() {
+  focusElementInList(getAllFormFields(), 1, 'Navigate to next form field (f)', describeFormControl, 'form fields');
+}
+
+/**
+ * Navigate to the previous form field on the page
+ */
+function navigateToPreviousFormField() {
+  focusElementInList(getAllFormFields(), -1, 'Navigate to previous form field (Shift+F)', describeFormControl, 'form fields');
+}
+
+/**
+ * Navigate to the next button on the page
+ */
+function navigateToNextButton() {
+  focusElementInList(getAllButtons(), 1, 'Navigate to next button (b)', describeFormControl, 'buttons');
+}
+
+/**
+ * Navigate to the previous button on the page
+ */
+function navigateToPreviousButton() {
+  focusElementInList(getAllButtons(), -1, 'Navigate to previous button (Shift+B)', describeFormControl, 'buttons');
+}
+
+/**
+ * Navigate to the next edit field on the page
+ */
+function navigateToNextEditField() {
+  focusElementInList(getAllEditFields(), 1, 'Navigate to next edit field (e)', describeFormControl, 'edit fields');
+}
+
+/**
+ * Navigate to the previous edit field on the page
+ */
+function navigateToPreviousEditField() {
+  focusElementInList(getAllEditFields(), -1, 'Navigate to previous edit field (Shift+E)', describeFormControl, 'edit fields');
+}
+
+// The skip link menu is rebuilt once the page has been quiet this long (ms)...
+const SKIP_LINKS_UPDATE_DELAY = 1000;
+// ...or this long after it first changed, for pages that never stop updating (ms)
+const SKIP_LINKS_UPDATE_LIMIT = 10000;
+let skipLinksUpdateTimeout = null;
+let skipLinksStaleSince = null;
+let skipLinksUpdatePending = false;
+
+/**
+ * Add the skip link menu for better keyboard navigation (WCAG 2.4.1).
+ * It is the first thing in the tab order and opens as a compact list of links when it gets focus.
+ */
+function addSkipLinks() {
+  // Don't add if already exists
+  if (document.getElementById('easynav-skip-links')) {
+    return;
+  }
+
+  skipLinksContainer = document.createElement('div');
+  skipLinksContainer.id = 'easynav-skip-links';
+  skipLinksContainer.setAttribute('role', 'navigation');
+  skipLinksContainer.setAttribute('aria-label', 'Skip links');
+
+  // Styles for the menu (hidden until one of its links has focus)
+  const style = document.createElement('style');
+  style.textContent = `
+    #easynav-skip-links {
+      position: fixed;
+      top: 0;
+      left: 0;
+      z-index: 999999;
+    }
+    #easynav-skip-links ul {
+      position: absolute;
+      left: -10000px;
+      top: 0;
+      width: 1px;
+      height: 1px;
+      overflow: hidden;
+      margin: 0;
+      padding: 0;
+      list-style: none;
+    }
+    #easynav-skip-links:focus-within ul {
+      left: 0;
+      width: auto;
+      height: auto;
+      max-width: 90vw;
+      overflow: visible;
+      padding: 4px 0;
+      background: #1a73e8;
+      border: 2px solid transparent;
+      border-radius: 0 0 4px 0;
+      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+    }
+    #easynav-skip-links li {
+      margin: 0;
+      padding: 0;
+    }
+    #easynav-skip-links a {
+      display: block;
+      color: #fff;
+      padding: 8px 16px;
+      text-decoration: none;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 14px;
+      font-weight: 500;
+    }
+    #easynav-skip-links a:focus {
+      outline: 3px solid #fff;
+      outline-offset: -4px;
+      text-decoration: underline;
+    }
+    @media (forced-colors: active) {
+      #easynav-skip-links:focus-within ul {
+        border-color: CanvasText;
+      }
+    }
+  `;
+  skipLinksContainer.appendChild(style);
+  skipLinksContainer.appendChild(document.createElement('ul'));
+
+  // Changes that arrived while the user was in the menu are applied once they leave it
+  skipLinksContainer.addEventListener('focusout', () => {
+    if (skipLinksUpdatePending) {
+      scheduleSkipLinksUpdate();
+    }
+  });
+
+  updateSkipLinks();
+
+  // Insert at the beginning of body
+  if (document.body) {
+    document.body.insertBefore(skipLinksContainer, document.body.firstChild);
+  }
+}
+
+/**
+ * Remove skip links when extension is disabled
+ */
+function removeSkipLinks() {
+  clearTimeout(skipLinksUpdateTimeout);
+  skipLinksUpdateTimeout = null;
+  skipLinksStaleSince = null;
+  skipLinksUpdatePending = false;
+
+  if (skipLinksContainer && skipLinksContainer.parentNode) {
+    skipLinksContainer.parentNode.removeChild(skipLinksContainer);
+    skipLinksContainer = null;
+  }
+}
+
+/**
+ * Rebuild the skip link menu from the page's current landmarks and headings
+ */
+function updateSkipLinks() {
+  clearTimeout(skipLinksUpdateTimeout);
+  skipLinksUpdateTimeout = null;
+  skipLinksStaleSince = null;
+
+  if (!skipLinksContainer) {
+    return;
+  }
+
+  // Rebuilding would take focus away from the link the user is on
+  if (skipLinksContainer.contains(getDeepActiveElement())) {
+    skipLinksUpdatePending = true;
+    return;
+  }
+  skipLinksUpdatePending = false;
+
+  const list = skipLinksContainer.querySelector('ul');
+  list.textContent = '';
+
+  const targets = getSkipLinkTargets();
+  targets.forEach(target => {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = '#';
+    link.textContent = target.text;
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      activateSkipLinkTarget(target);
+    });
+    item.appendChild(link);
+    list.appendChild(item);
+  });
+
+  // An empty navigation landmark would still be listed by screen readers
+  skipLinksContainer.hidden = targets.length === 0;
+}
+
+/**
+ * Update the skip link menu once the page stops changing
+ */
+function scheduleSkipLinksUpdate() {
+  if (!skipLinksContainer) {
+    return;
+  }
+
+  if (skipLinksStaleSince === null) {
+    skipLinksStaleSince = Date.now();
+  }
+  clearTimeout(skipLinksUpdateTimeout);
+  const remaining = SKIP_LINKS_UPDATE_LIMIT - (Date.now() - skipLinksStaleSince);
+  skipLinksUpdateTimeout = setTimeout(updateSkipLinks, Math.max(0, Math.min(SKIP_LINKS_UPDATE_DELAY, remaining)));
+}
+
+/**
+ * Find the places on the page that the skip link menu should offer, following the user's
+ * choice of targets (see skiplinks.js)
+ * @returns {Array<{element: Element, text: string, describe: function(Element): string}>} - Targets in menu order
+ */
+function getSkipLinkTargets() {
+  const landmarks = getAllLandmarks();
+  const main = landmarks.find(landmark => getLandmarkRole(landmark) === 'main');
+  const footer = landmarks.find(landmark => getLandmarkRole(landmark) === 'contentinfo');
+  const targets = [];
+
+  skipLinkTargets.forEach(id => {
+    if (id === 'main' && main) {
+      const mainContentKeys = keyBindings.mainContent ? ` (${formatCommandKeys('mainContent')})` : '';
+      targets.push({ element: main, text: `Skip to main content${mainContentKeys}`, describe: describeLandmark });
+    }
+
+    if (id === 'heading') {
+      const heading = findMainHeading();
+      if (heading) {
+        const text = getElementText(heading);
+        targets.push({ element: heading, text: text ? `Skip to heading: ${text}` : 'Skip to main heading', describe: describeHeading });
+      }
+    }
+
+    if (id === 'search') {
+      const field = findSearchField();
+      if (field) {
+        targets.push({ element: field, text: 'Skip to search', describe: describeFormControl });
+      }
+    }
+
+    if (id === 'landmarks') {
+      // Main, search and footer have links of their own
+      landmarks
+        .filter(landmark => !['main', 'search', 'contentinfo'].includes(getLandmarkRole(landmark)))
+        .forEach(landmark => {
+          const roleName = getLandmarkRoleName(landmark).toLowerCase();
+          const label = getLandmarkLabel(landmark);
+          targets.push({
+            element: landmark,
+            text: label ? `Skip to ${roleName}: ${label}` : `Skip to ${roleName}`,
+            describe: describeLandmark
+          });
+        });
+    }
+
+    if (id === 'footer' && footer) {
+      targets.push({ element: footer, text: 'Skip to footer', describe: describeLandmark });
+    }
+  });
+
+  return targets;
+}
+
+/**
+ * Find the page's search field: a text field in the search landmark, or a search box
+ * @returns {Element|null} - The field, or null if the page has none
+ */
+function findSearchField() {
+  const fields = querySelectorAllDeep('[role="search"] input, search input, input[type="search"], [role="searchbox"]');
+  return fields.find(field => {
+    if (isEasyKeyNavNode(field) || field.disabled) {
+      return false;
+    }
+    if (field.tagName === 'INPUT' && !TEXT_INPUT_TYPES.includes(field.type)) {
+      return false;
+    }
+    const style = window.getComputedStyle(field);
+    return style.display !== 'none' && style.visibility !== 'hidden';
+  }) || null;
+}
+
+/**
+ * Move focus to a skip link's target
+ * @param {{element: Element, text: string, describe: function(Element): string}} target - The target
+ */
+function activateSkipLinkTarget(target) {
+  if (!target.element.isConnected) {
+    announce('That part of the page is no longer there', 'assertive');
+    updateSkipLinks();
+    return;
+  }
+
+  makeElementFocusableAndFocus(target.element, `Skip link - ${target.text}`);
+  announce(target.describe(target.element));
+}
+
+/**
+ * Toggle the keyboard shortcuts help dialog
+ */
+function toggleHelpDialog() {
+  if (helpDialogOpen) {
+    closeHelpDialog();
+  } else {
+    openHelpDialog();
+  }
+}
+
+/**
+ * Add the style rules that EasyKeyNav's dialogs share, if the page doesn't have them yet
+ */
+function addSharedStyles() {
+  if (document.getElementById('easynav-shared-styles')) {
+    return;
+  }
+
+  const style = document.createElement('style');
+  style.id = 'easynav-shared-styles';
+  style.textContent = `
+    /* Hidden on screen but still read by screen readers */
+    .easynav-visually-hidden {
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      padding: 0;
+      margin: -1px;
+      overflow: hidden;
+      clip: rect(0, 0, 0, 0);
+      white-space: nowrap;
+      border: 0;
+    }
+  `;
+  (document.head || document.documentElement).appendChild(style);
+}
+
+/**
+ * Close every open EasyKeyNav dialog except one, so that opening a dialog replaces the one
+ * already open
+ * @param {Function} except - The close function of the dialog being opened
+ */
+function closeOtherEasyNavDialogs(except) {
+  const dialogs = [
+    { open: helpDialogOpen, close: closeHelpDialog },
+    { open: elementsListOpen, close: closeElementsList },
+    { open: commandPaletteOpen, close: closeCommandPalette },
+    { open: findBarOpen, close: closeFindBar },
+    { open: marksDialogOpen, close: closeMarksDialog },
+    { open: auditDialogOpen, close: closeAuditDialog }
+  ];
+
+  dialogs.forEach(({ open, close }) => {
+    if (open && close !== except) {
+      close();
+    }
+  });
+}
+
+/**
+ * Open the keyboard shortcuts help dialog
+ */
+function openHelpDialog() {
+  if (helpDialogOpen) {
+    return;
+  }
+
+  // Only one EasyKeyNav dialog is open at a time
+  closeOtherEasyNavDialogs(closeHelpDialog);
+
+  // The dialog's screen reader text uses the shared .easynav-visually-hidden class
+  addSharedStyles();
+
+  // Store the currently focused element to restore later
+  lastFocusedElement = getDeepActiveElement();
+
+  // Create the dialog element
+  helpDialogElement = document.createElement('div');
+  helpDialogElement.id = 'easynav-help-dialog';
+  helpDialogElement.className = 'easynav-dialog';
+  helpDialogElement.setAttribute('role', 'dialog');
+  helpDialogElement.setAttribute('aria-modal', 'true');
+  helpDialogElement.setAttribute('aria-labelledby', 'easynav-help-title');
+  helpDialogElement.setAttribute('aria-describedby', 'easynav-help-title easynav-help-intro');
+
+  // One section per command group, showing the user's actual key bindings (escaped because
+  // punctuation keys such as < can be bound)
+  const escapeHtml = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  const shortcutRow = (description, keys) => `
+        <div class="easynav-help-shortcut">
+          <span class="easynav-help-description">${escapeHtml(description)}</span>
+          <span class="easynav-help-keys">${escapeHtml(keys)}</span>
+        </div>`;
+  const helpSections = getCommandGroups().map(group => `
+      <div class="easynav-help-section">
+        <h2>${escapeHtml(group.name)}</h2>${
+          group.commands.map(command => shortcutRow(command.description, formatCommandShortcut(command))).join('')
+        }${
+          (HELP_EXTRA_SHORTCUTS[group.name] || []).map(extra => shortcutRow(extra.description, extra.keys)).join('')
+        }
+      </div>`).join('\n');
+
+  // Build the dialog content
+  helpDialogElement.innerHTML = `
+    <style>
+      #easynav-help-dialog {
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        z-index: 2147483647;
+        background: rgba(0, 0, 0, 0.75);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        padding: 1rem;
+      }
+
+      #easynav-help-content {
+        background: #ffffff;
+        color: #1a1a1a;
+        border-radius: 8px;
+        box-shadow: 0 4px 24px rgba(0, 0, 0, 0.3);
+        max-width: 600px;
+        max-height: 80vh;
+        overflow-y: auto;
+        padding: 2rem;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 14px;
+        line-height: 1.5;
+      }
+
+      #easynav-help-title {
+        margin: 0 0 1rem 0;
+        font-size: 1.5rem;
+        font-weight: 600;
+        color: #1a1a1a;
+      }
+
+      .easynav-help-note {
+        margin: 0 0 1rem 0;
+        font-size: 0.875rem;
+        color: #4a4a4a;
+      }
+
+      #easynav-help-close {
+        position: absolute;
+        top: 1rem;
+        right: 1rem;
+        background: transparent;
+        border: none;
+        font-size: 1.5rem;
+        cursor: pointer;
+        padding: 0.5rem;
+        color: #4a4a4a;
+        line-height: 1;
+        width: 2.5rem;
+        height: 2.5rem;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        border-radius: 4px;
+      }
+
+      #easynav-help-close:hover {
+        background: #f0f0f0;
+        color: #1a1a1a;
+      }
+
+      #easynav-help-close:focus-visible {
+        outline: 3px solid #1a73e8;
+        outline-offset: 2px;
+      }
+
+      .easynav-help-section {
+        margin-bottom: 1.5rem;
+      }
+
+      .easynav-help-section:last-child {
+        margin-bottom: 0;
+      }
+
+      .easynav-help-section h2 {
+        font-size: 1.125rem;
+        font-weight: 600;
+        margin: 0 0 0.75rem 0;
+        color: #1a1a1a;
+      }
+
+      .easynav-help-shortcut {
+        display: flex;
+        justify-content: space-between;
+        align-items: baseline;
+        padding: 0.5rem 0;
+        border-bottom: 1px solid #e0e0e0;
+      }
+
+      .easynav-help-shortcut:last-child {
+        border-bottom: none;
+      }
+
+      .easynav-help-description {
+        color: #1a1a1a;
+      }
+
+      .easynav-help-keys {
+        font-family: 'Courier New', Courier, monospace;
+        background: #f5f5f5;
+        color: #1a1a1a;
+        padding: 0.25rem 0.5rem;
+        border-radius: 4px;
+        font-size: 0.875rem;
+        font-weight: 600;
+        white-space: nowrap;
+        margin-left: 1rem;
+      }
+
+      .easynav-debug-toggle {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 0.75rem 0;
+        border-top: 2px solid #e0e0e0;
+        margin-top: 1rem;
+      }
+
+      .easynav-debug-toggle + .easynav-debug-toggle {
+        border-top-width: 1px;
+        margin-top: 0;
+      }
+
+      .easynav-debug-label {
+        font-weight: 500;
+        color: #1a1a1a;
+      }
+
+      .easynav-toggle-button {
+        position: relative;
+        width: 48px;
+        height: 28px;
+        background: #ccc;
+        border: none;
+        border-radius: 14px;
+        cursor: pointer;
+        transition: background-color 0.3s ease;
+        padding: 0;
+      }
+
+      .easynav-toggle-button:focus-visible {
+        outline: 3px solid #1a73e8;
+        outline-offset: 2px;
+      }
+
+      .easynav-toggle-button[aria-checked="true"] {
+        background: #2E7D32;
+        position: relative;
+      }
+
+      .easynav-toggle-button[aria-checked="true"]::before {
+        content: '✓';
+        position: absolute;
+        left: 6px;
+        top: 50%;
+        transform: translateY(-50%);
+        color: #fff;
+        font-size: 16px;
+        font-weight: bold;
+        line-height: 1;
+      }
+
+      .easynav-toggle-slider {
+        position: absolute;
+        top: 2px;
+        left: 2px;
+        width: 24px;
+        height: 24px;
+        background: #fff;
+        border-radius: 12px;
+        transition: transform 0.3s ease;
+        box-shadow: 0 2px 4px rgba(0, 0, 0, 0.2);
+      }
+
+      .easynav-toggle-button[aria-checked="true"] .easynav-toggle-slider {
+        transform: translateX(20px);
+      }
+
+      @media (prefers-color-scheme: dark) {
+        #easynav-help-content {
+          background: #202124;
+          color: #e8eaed;
+        }
+
+        #easynav-help-title,
+        .easynav-help-section h2,
+        .easynav-help-description {
+          color: #e8eaed;
+        }
+
+        .easynav-help-note {
+          color: #bdc1c6;
+        }
+
+        #easynav-help-close {
+          color: #bdc1c6;
+        }
+
+        #easynav-help-close:hover {
+          background: #3c4043;
+          color: #e8eaed;
+        }
+
+        .easynav-help-shortcut {
+          border-bottom-color: #3c4043;
+        }
+
+        .easynav-help-keys {
+          background: #3c4043;
+          color: #e8eaed;
+        }
+
+        .easynav-debug-toggle {
+          border-top-color: #3c4043;
+        }
+
+        .easynav-debug-label {
+          color: #e8eaed;
+        }
+
+        .easynav-toggle-button {
+          background: #5f6368;
+        }
+
+        .easynav-toggle-button[aria-checked="true"] {
+          background: #4CAF50;
+        }
+      }
+
+      @media (prefers-reduced-motion: reduce) {
+        #easynav-help-dialog {
+          animation: none;
+        }
+      }
+    </style>
+    <div id="easynav-help-content">
+      <button id="easynav-help-close" type="button" aria-label="Close help dialog">×</button>
+      <h1 id="easynav-help-title">Keyboard Shortcuts</h1>
+      <p id="easynav-help-intro" class="easynav-visually-hidden">
+        Available keyboard shortcuts for navigating the page. Press Escape to close this dialog.
+      </p>
+      <p class="easynav-help-note">You can change or turn off these shortcuts on the EasyKeyNav options page.</p>
+      ${siteMode === 'modifierOnly' ? '<p class="easynav-help-note">Shortcuts without Ctrl, Cmd, Alt or Option are off on this site, so it keeps its own single-key shortcuts.</p>' : ''}
+
+      ${helpSections}
+
+      <div class="easynav-help-section">
+        <h2>Settings</h2>
+        <div class="easynav-debug-toggle">
+          <span class="easynav-debug-label">Announcements on</span>
+          <button
+            id="easynav-announce-toggle-btn"
+            class="easynav-toggle-button"
+            type="button"
+            role="switch"
+            aria-checked="${announcementsEnabled ? 'true' : 'false'}"
+            aria-label="Announcements on">
+            <span class="easynav-toggle-slider"></span>
+          </button>
+        </div>
+        <div class="easynav-debug-toggle">
+          <span class="easynav-debug-label">Focus main heading on page change</span>
+          <button
+            id="easynav-page-change-toggle-btn"
+            class="easynav-toggle-button"
+            type="button"
+            role="switch"
+            aria-checked="${pageChangeFocusEnabled ? 'true' : 'false'}"
+            aria-label="Focus main heading on page change">
+            <span class="easynav-toggle-slider"></span>
+          </button>
+        </div>
+        <div class="easynav-debug-toggle">
+          <span class="easynav-debug-label">Remember Tab and clicks in focus history</span>
+          <button
+            id="easynav-focus-history-toggle-btn"
+            class="easynav-toggle-button"
+            type="button"
+            role="switch"
+            aria-checked="${focusHistoryAllFocus ? 'true' : 'false'}"
+            aria-label="Remember Tab and clicks in focus history">
+            <span class="easynav-toggle-slider"></span>
+          </button>
+        </div>
+        <div class="easynav-debug-toggle">
+          <span class="easynav-debug-label">Debug mode on</span>
+          <button
+            id="easynav-debug-toggle-btn"
+            class="easynav-toggle-button"
+            type="button"
+            role="switch"
+            aria-checked="${DEBUG_FOCUS ? 'true' : 'false'}"
+            aria-label="Debug mode on">
+            <span class="easynav-toggle-slider"></span>
+          </button>
+        </div>
+      </div>
+    </div>
+  `;
+
+  // Append to body
+  document.body.appendChild(helpDialogElement);
+
+  // Set up close button
+  const closeButton = helpDialogElement.querySelector('#easynav-help-close');
+  closeButton.addEventListener('click', closeHelpDialog);
+
+  // Set up debug toggle button
+  const debugToggleBtn = helpDialogElement.querySelector('#easynav-debug-toggle-btn');
+  debugToggleBtn.addEventListener('click', function() {
+    DEBUG_FOCUS = !DEBUG_FOCUS;
+    const isChecked = DEBUG_FOCUS;
+    this.setAttribute('aria-checked', isChecked.toString());
+    console.log(`[EasyKeyNav] Debug mode ${isChecked ? 'enabled' : 'disabled'}`);
+
+    // Persist debug mode to storage (other tabs pick it up from there)
+    saveSettings({ debugMode: DEBUG_FOCUS });
+
+    // If debug mode is turned off, remove scale from currently scaled element
+    if (!DEBUG_FOCUS) {
+      clearDebugScale();
+    }
+  });
+
+  // Set up announcements toggle button
+  const announceToggleBtn = helpDialogElement.querySelector('#easynav-announce-toggle-btn');
+  announceToggleBtn.addEventListener('click', function() {
+    announcementsEnabled = !announcementsEnabled;
+    this.setAttribute('aria-checked', announcementsEnabled.toString());
+    console.log(`[EasyKeyNav] Announcements ${announcementsEnabled ? 'enabled' : 'disabled'}`);
+
+    // Persist announcements setting to storage (other tabs pick it up from there)
+    saveSettings({ announcements: announcementsEnabled });
+  });
+
+  // Set up page change focus toggle button
+  const pageChangeToggleBtn = helpDialogElement.querySelector('#easynav-page-change-toggle-btn');
+  pageChangeToggleBtn.addEventListener('click', function() {
+    pageChangeFocusEnabled = !pageChangeFocusEnabled;
+    this.setAttribute('aria-checked', pageChangeFocusEnabled.toString());
+    console.log(`[EasyKeyNav] Focus on page change ${pageChangeFocusEnabled ? 'enabled' : 'disabled'}`);
+
+    // Persist page change setting to storage (other tabs pick it up from there)
+    saveSettings({ pageChangeFocus: pageChangeFocusEnabled });
+  });
+
+  // Set up focus history toggle button
+  const focusHistoryToggleBtn = helpDialogElement.querySelector('#easynav-focus-history-toggle-btn');
+  focusHistoryToggleBtn.addEventListener('click', function() {
+    focusHistoryAllFocus = !focusHistoryAllFocus;
+    this.setAttribute('aria-checked', focusHistoryAllFocus.toString());
+    console.log(`[EasyKeyNav] Tab and clicks in focus history ${focusHistoryAllFocus ? 'enabled' : 'disabled'}`);
+
+    // Persist focus history setting to storage (other tabs pick it up from there)
+    saveSettings({ focusHistoryAll: focusHistoryAllFocus });
+  });
+
+  // Set up focus trap
+  setupFocusTrap(helpDialogElement);
+
+  // Close dialog when focus leaves it
+  setupFocusOutHandler(helpDialogElement, closeHelpDialog);
+
+  // Focus the close button
+  closeButton.focus();
+  logFocusChange('Open help dialog (Ctrl+/ or Cmd+/)');
+
+  helpDialogOpen = true;
+}
+
+/**
+ * Close the keyboard shortcuts help dialog
+ */
+function closeHelpDialog({ restoreFocus = true } = {}) {
+  if (!helpDialogOpen || !helpDialogElement) {
+    return;
+  }
+
+  // Remove the dialog from the DOM
+  if (helpDialogElement.parentNode) {
+    helpDialogElement.parentNode.removeChild(helpDialogElement);
+  }
+
+  helpDialogElement = null;
+  helpDialogOpen = false;
+
+  // Restore focus to the previously focused element
+  if (restoreFocus) {
+    restoreFocusAfterDialog('Close help dialog');
+  }
+}
+
+/**
+ * Restore focus to the element that was focused before a dialog opened
+ * @param {string} action - Description of the closing action for debug logging
+ */
+function restoreFocusAfterDialog(action) {
+  if (lastFocusedElement && lastFocusedElement.isConnected) {
+    if (lastFocusedElement === document.body) {
+      lastFocusedElement.focus();
+      logFocusChange(`${action} - restore previous focus`);
+    } else {
+      // Headings and landmarks lose their temporary tabindex on blur, so make them focusable again
+      makeElementFocusableAndFocus(lastFocusedElement, `${action} - restore previous focus`, { recordHistory: false });
+    }
+  } else {
+    // Fallback to skip links or body
+    const skipLink = document.querySelector('#easynav-skip-links a');
+    if (skipLink) {
+      skipLink.focus();
+      logFocusChange(`${action} - focus fallback to skip link`);
+    } else {
+      document.body.focus();
+      logFocusChange(`${action} - focus fallback to body`);
+    }
+  }
+
+  lastFocusedElement = null;
+}
+
+/**
+ * Set up focus trap for an EasyKeyNav dialog
+ * @param {Element} dialogElement - The dialog to trap focus in
+ */
+function setupFocusTrap(dialogElement) {
+  if (!dialogElement) {
+    return;
+  }
+
+  // Handle Tab key to trap focus
+  // Focusable elements are looked up on each Tab because dialog content can change while open
+  dialogElement.addEventListener('keydown', function(event) {
+    if (event.key !== 'Tab') {
+      return;
+    }
+
+    const focusableElements = buildTabOrder([dialogElement]);
+
+    if (focusableElements.length === 0) {
+      return;
+    }
+
+    const firstFocusable = focusableElements[0];
+    const lastFocusable = focusableElements[focusableElements.length - 1];
+
+    // Shift+Tab on first element: go to last
+    if (event.shiftKey && document.activeElement === firstFocusable) {
+      event.preventDefault();
+      lastFocusable.focus();
+      return;
+    }
+
+    // Tab on last element: go to first
+    if (!event.shiftKey && document.activeElement === lastFocusable) {
+      event.preventDefault();
+      firstFocusable.focus();
+      return;
+    }
+  });
+}
+
+/**
+ * Set up focus out handler to close a dialog when focus leaves
+ * @param {Element} dialogElement - The dialog to watch
+ * @param {function(): void} closeDialog - Closes the dialog
+ */
+function setupFocusOutHandler(dialogElement, closeDialog) {
+  if (!dialogElement) {
+    return;
+  }
+
+  // Use a small delay to check if focus has moved outside the dialog
+  // This prevents the dialog from closing during internal focus changes
+  let focusCheckTimeout;
+
+  dialogElement.addEventListener('focusout', function() {
+    // Clear any pending timeout
+    clearTimeout(focusCheckTimeout);
+
+    // Wait a bit to see where focus goes
+    focusCheckTimeout = setTimeout(() => {
+      // Check if the newly focused element is outside the dialog (and the dialog is still open)
+      const isInsideDialog = dialogElement.contains(document.activeElement);
+
+      if (!isInsideDialog && dialogElement.isConnected) {
+        closeDialog();
+      }
+    }, 10);
+  });
+}
+
+// Element types offered by the Elements List dialog
+const ELEMENTS_LIST_TYPES = [
+  { id: 'headings', label: 'Headings' },
+  { id: 'landmarks', label: 'Landmarks' },
+  { id: 'links', label: 'Links' },
+  { id: 'formFields', label: 'Form Fields' }
+];
+
+/**
+ * Get the items shown in the Elements List for a type
+ * @param {string} type - One of the ELEMENTS_LIST_TYPES ids
+ * @returns {Array<{element: Element, label: string, level: number, badge: string}>} - Items in document order.
+ *   level is the nesting depth in the outline (1 = top level)
+ */
+function getElementsListItems(type) {
+  switch (type) {
+    case 'headings': {
+      // Build a nested outline: a heading's depth is one more than the closest preceding heading with a lower level
+      const levelStack = [];
+      return getAllHeadings().map(heading => {
+        const headingLevel = getHeadingLevel(heading);
+        while (levelStack.length > 0 && levelStack[levelStack.length - 1] >= headingLevel) {
+          levelStack.pop();
+        }
+        levelStack.push(headingLevel);
+        return {
+          element: heading,
+          label: getElementText(heading) || '(empty heading)',
+          level: levelStack.length,
+          badge: `H${headingLevel}`
+        };
+      });
+    }
+    case 'landmarks': {
+      // Nest landmarks inside the landmarks that contain them
+      const landmarks = getAllLandmarks();
+      return landmarks.map(landmark => ({
+        element: landmark,
+        label: describeLandmark(landmark),
+        level: 1 + landmarks.filter(other => other !== landmark && composedContains(other, landmark)).length,
+        badge: ''
+      }));
+    }
+    case 'links':
+      return getAllLinks().map(link => ({
+        element: link,
+        label: getLinkDescription(link) || link.getAttribute('href') || '(unlabeled link)',
+        level: 1,
+        badge: ''
+      }));
+    case 'formFields': {
+      const controls = sortByDocumentOrder([...getAllFormFields(), ...getAllButtons()]);
+      return controls.map(control => ({
+        element: control,
+        label: describeFormControl(control),
+        level: 1,
+        badge: ''
+      }));
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Toggle the Elements List dialog
+ */
+function toggleElementsList() {
+  if (elementsListOpen) {
+    closeElementsList();
+  } else {
+    openElementsList();
+  }
+}
+
+/**
+ * Open the Elements List dialog (headings, landmarks, links and form fields on the page)
+ * @param {string} [initialType='headings'] - The element type to show first
+ */
+function openElementsList(initialType = 'headings') {
+  if (elementsListOpen) {
+    return;
+  }
+
+  // Only one EasyKeyNav dialog is open at a time
+  closeOtherEasyNavDialogs(closeElementsList);
+
+  // The dialog's screen reader text uses the shared .easynav-visually-hidden class
+  addSharedStyles();
+
+  // Store the currently focused element to restore later
+  lastFocusedElement = getDeepActiveElement();
+
+  elementsListElement = document.createElement('div');
+  elementsListElement.id = 'easynav-elements-dialog';
+  elementsListElement.className = 'easynav-dialog';
+  elementsListElement.setAttribute('role', 'dialog');
+  elementsListElement.setAttribute('aria-modal', 'true');
+  elementsListElement.setAttribute('aria-labelledby', 'easynav-elements-title');
+  elementsListElement.setAttribute('aria-describedby', 'easynav-elements-intro');
+
+  const typeOptions = ELEMENTS_LIST_TYPES.map(type => `
+          <label class="easynav-elements-type">
+            <input type="radio" name="easynav-elements-type" value="${type.id}" ${type.id === initialType ? 'checked' : ''}>
+            ${type.label}
+          </label>`).join('');
+
+  elementsListElement.innerHTML = `
+    <style>
+      #easynav-elements-dialog {
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        z-index: 2147483647;
+        background: rgba(0, 0, 0, 0.75);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        padding: 1rem;
+      }
+
+      #easynav-elements-content {
+        position: relative;
+        background: #ffffff;
+        color: #1a1a1a;
+        border-radius: 8px;
+        box-shadow: 0 4px 24px rgba(0, 0, 0, 0.3);
+        width: 600px;
+        max-width: 100%;
+        max-height: 80vh;
+        display: flex;
+        flex-direction: column;
+        padding: 2rem;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 14px;
+        line-height: 1.5;
+      }
+
+      #easynav-elements-title {
+        margin: 0 0 1rem 0;
+        font-size: 1.5rem;
+        font-weight: 600;
+        color: #1a1a1a;
+      }
+
+      #easynav-elements-close {
+        position: absolute;
+        top: 1rem;
+        right: 1rem;
+        background: transparent;
+        border: none;
+        font-size: 1.5rem;
+        cursor: pointer;
+        padding: 0.5rem;
+        color: #4a4a4a;
+        line-height: 1;
+        width: 2.5rem;
+        height: 2.5rem;
+        border-radius: 4px;
+      }
+
+      #easynav-elements-close:hover {
+        background: #f0f0f0;
+        color: #1a1a1a;
+      }
+
+      #easynav-elements-dialog fieldset {
+        border: none;
+        margin: 0 0 1rem 0;
+        padding: 0;
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem 1.25rem;
+      }
+
+      #easynav-elements-dialog legend {
+        font-weight: 600;
+        margin-bottom: 0.5rem;
+        padding: 0;
+      }
+
+      .easynav-elements-type {
+        display: inline-flex;
+        align-items: center;
+        gap: 0.25rem;
+        cursor: pointer;
+      }
+
+      #easynav-elements-filter-label {
+        display: block;
+        font-weight: 600;
+        margin-bottom: 0.25rem;
+      }
+
+      #easynav-elements-filter {
+        width: 100%;
+        box-sizing: border-box;
+        padding: 0.5rem;
+        border: 1px solid #767676;
+        border-radius: 4px;
+        font: inherit;
+        color: inherit;
+        background: transparent;
+        margin-bottom: 1rem;
+      }
+
+      #easynav-elements-tree {
+        list-style: none;
+        margin: 0;
+        padding: 0;
+        overflow-y: auto;
+        min-height: 6rem;
+        border: 1px solid #e0e0e0;
+        border-radius: 4px;
+      }
+
+      .easynav-elements-item {
+        padding: 0.375rem 0.5rem;
+        cursor: pointer;
+        border-bottom: 1px solid #e0e0e0;
+      }
+
+      .easynav-elements-item:last-child {
+        border-bottom: none;
+      }
+
+      .easynav-elements-item[aria-selected="true"] {
+        background: #e8f0fe;
+      }
+
+      .easynav-elements-badge {
+        font-family: 'Courier New', Courier, monospace;
+        font-weight: 600;
+        background: #f5f5f5;
+        padding: 0 0.25rem;
+        border-radius: 4px;
+        margin-right: 0.5rem;
+      }
+
+      #easynav-elements-status {
+        margin: 0.5rem 0 0 0;
+        color: #4a4a4a;
+      }
+
+      #easynav-elements-dialog button:focus-visible,
+      #easynav-elements-dialog input:focus-visible,
+      .easynav-elements-item:focus-visible {
+        outline: 3px solid #1a73e8;
+        outline-offset: 2px;
+      }
+
+      .easynav-elements-item:focus-visible {
+        outline-offset: -3px;
+      }
+
+      @media (prefers-color-scheme: dark) {
+        #easynav-elements-content {
+          background: #202124;
+          color: #e8eaed;
+        }
+
+        #easynav-elements-title {
+          color: #e8eaed;
+        }
+
+        #easynav-elements-close {
+          color: #bdc1c6;
+        }
+
+        #easynav-elements-close:hover {
+          background: #3c4043;
+          color: #e8eaed;
+        }
+
+        #easynav-elements-filter {
+          border-color: #9aa0a6;
+        }
+
+        #easynav-elements-tree,
+        .easynav-elements-item {
+          border-color: #3c4043;
+        }
+
+        .easynav-elements-item[aria-selected="true"] {
+          background: #394457;
+        }
+
+        .easynav-elements-badge {
+          background: #3c4043;
+        }
+
+        #easynav-elements-status {
+          color: #bdc1c6;
+        }
+      }
+
+      @media (forced-colors: active) {
+        .easynav-elements-item[aria-selected="true"] {
+          outline: 2px solid Highlight;
+          outline-offset: -2px;
+        }
+      }
+    </style>
+    <div id="easynav-elements-content">
+      <button id="easynav-elements-close" type="button" aria-label="Close elements list">×</button>
+      <h1 id="easynav-elements-title">Elements List</h1>
+      <p id="easynav-elements-intro" class="easynav-visually-hidden">
+        Choose a type, type to filter, use the arrow keys to select an element and press Enter to move focus to it. Press Escape to close.
+      </p>
+      <fieldset>
+        <legend>Type</legend>${typeOptions}
+      </fieldset>
+      <label id="easynav-elements-filter-label" for="easynav-elements-filter">Filter</label>
+      <input id="easynav-elements-filter" type="text" autocomplete="off" spellcheck="false" aria-controls="easynav-elements-tree">
+      <ul id="easynav-elements-tree" role="tree" aria-labelledby="easynav-elements-title"></ul>
+      <p id="easynav-elements-status" role="status" aria-live="polite"></p>
+    </div>
+  `;
+
+  document.body.appendChild(elementsListElement);
+
+  const closeButton = elementsListElement.querySelector('#easynav-elements-close');
+  closeButton.addEventListener('click', closeElementsList);
+
+  const filterInput = elementsListElement.querySelector('#easynav-elements-filter');
+  const tree = elementsListElement.querySelector('#easynav-elements-tree');
+
+  // Rebuild the list when the type or filter changes
+  elementsListElement.querySelectorAll('input[name="easynav-elements-type"]').forEach(radio => {
+    radio.addEventListener('change', renderElementsList);
+  });
+  filterInput.addEventListener('input', renderElementsList);
+
+  // Down arrow from the filter moves into the list
+  filterInput.addEventListener('keydown', (event) => {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      const activeItem = tree.querySelector('[tabindex="0"]');
+      if (activeItem) {
+        activeItem.focus();
+      }
+    }
+  });
+
+  tree.addEventListener('keydown', handleElementsListKeyDown);
+  tree.addEventListener('click', (event) => {
+    const item = event.target.closest('.easynav-elements-item');
+    if (item) {
+      activateElementsListItem(item);
+    }
+  });
+
+  renderElementsList();
+
+  // Set up focus trap
+  setupFocusTrap(elementsListElement);
+
+  // Close dialog when focus leaves it
+  setupFocusOutHandler(elementsListElement, closeElementsList);
+
+  elementsListOpen = true;
+
+  filterInput.focus();
+  logFocusChange('Open elements list (Alt+Shift+E)');
+}
+
+/**
+ * Render the Elements List tree for the selected type and filter text
+ */
+function renderElementsList() {
+  if (!elementsListElement) {
+    return;
+  }
+
+  const checkedType = elementsListElement.querySelector('input[name="easynav-elements-type"]:checked');
+  const type = checkedType ? checkedType.value : 'headings';
+  const typeLabel = ELEMENTS_LIST_TYPES.find(listType => listType.id === type).label.toLowerCase();
+  const filterText = elementsListElement.querySelector('#easynav-elements-filter').value.trim().toLowerCase();
+  const tree = elementsListElement.querySelector('#easynav-elements-tree');
+  const status = elementsListElement.querySelector('#easynav-elements-status');
+
+  let items = getElementsListItems(type);
+  if (filterText) {
+    // A filtered outline has gaps, so show matches as a flat list
+    items = items
+      .filter(item => item.label.toLowerCase().includes(filterText))
+      .map(item => ({ ...item, level: 1 }));
+  }
+
+  elementsListItems = items;
+  tree.textContent = '';
+
+  items.forEach((item, index) => {
+    const treeItem = document.createElement('li');
+    treeItem.className = 'easynav-elements-item';
+    treeItem.id = `easynav-elements-item-${index}`;
+    treeItem.setAttribute('role', 'treeitem');
+    treeItem.setAttribute('aria-level', item.level.toString());
+    treeItem.setAttribute('aria-selected', index === 0 ? 'true' : 'false');
+    treeItem.setAttribute('tabindex', index === 0 ? '0' : '-1');
+    treeItem.dataset.index = index.toString();
+    treeItem.style.paddingLeft = `${0.5 + (item.level - 1) * 1.25}rem`;
+
+    if (item.badge) {
+      const badge = document.createElement('span');
+      badge.className = 'easynav-elements-badge';
+      badge.setAttribute('aria-hidden', 'true');
+      badge.textContent = item.badge;
+      treeItem.appendChild(badge);
+    }
+
+    treeItem.appendChild(document.createTextNode(item.label));
+    tree.appendChild(treeItem);
+  });
+
+  if (items.length === 0) {
+    status.textContent = filterText ? `No ${typeLabel} match "${filterText}"` : `No ${typeLabel} on this page`;
+  } else {
+    status.textContent = `${items.length} ${items.length === 1 ? typeLabel.replace(/s$/, '') : typeLabel}`;
+  }
+}
+
+/**
+ * Move the selection in the Elements List tree
+ * @param {Element} item - The tree item to select and focus
+ */
+function selectElementsListItem(item) {
+  const tree = item.parentNode;
+  tree.querySelectorAll('.easynav-elements-item').forEach(other => {
+    other.setAttribute('aria-selected', 'false');
+    other.setAttribute('tabindex', '-1');
+  });
+  item.setAttribute('aria-selected', 'true');
+  item.setAttribute('tabindex', '0');
+  item.focus();
+  item.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Handle keyboard interaction in the Elements List tree (arrow keys, Home/End, Enter)
+ * @param {KeyboardEvent} event - The keyboard event
+ */
+function handleElementsListKeyDown(event) {
+  const item = event.target.closest('.easynav-elements-item');
+  if (!item) {
+    return;
+  }
+
+  const items = Array.from(item.parentNode.querySelectorAll('.easynav-elements-item'));
+  const index = items.indexOf(item);
+
+  switch (event.key) {
+    case 'ArrowDown':
+      event.preventDefault();
+      if (index < items.length - 1) {
+        selectElementsListItem(items[index + 1]);
+      }
+      break;
+    case 'ArrowUp':
+      event.preventDefault();
+      if (index > 0) {
+        selectElementsListItem(items[index - 1]);
+      } else {
+        // Up from the first item returns to the filter box
+        elementsListElement.querySelector('#easynav-elements-filter').focus();
+      }
+      break;
+    case 'Home':
+      event.preventDefault();
+      selectElementsListItem(items[0]);
+      break;
+    case 'End':
+      event.preventDefault();
+      selectElementsListItem(items[items.length - 1]);
+      break;
+    case 'Enter':
+      event.preventDefault();
+      activateElementsListItem(item);
+      break;
+    default:
+      // Typing a character moves to the filter box so the user can keep narrowing the list
+      if (event.key.length === 1 && !event.ctrlKey && !event.metaKey && !event.altKey) {
+        elementsListElement.querySelector('#easynav-elements-filter').focus();
+      }
+  }
+}
+
+/**
+ * Close the Elements List and move focus to the chosen element
+ * @param {Element} item - The selected tree item
+ */
+function activateElementsListItem(item) {
+  const listItem = elementsListItems[parseInt(item.dataset.index)];
+  if (!listItem || !listItem.element.isConnected) {
+    return;
+  }
+
+  // Close without restoring focus, since focus is moving to the chosen element
+  lastFocusedElement = null;
+  closeElementsList({ restoreFocus: false });
+
+  makeElementFocusableAndFocus(listItem.element, `Elements list - ${listItem.label}`);
+  announce(describeElement(listItem.element));
+}
+
+/**
+ * Close the Elements List dialog
+ * @param {{restoreFocus: boolean}} [options] - Whether to return focus to where it was before opening
+ */
+function closeElementsList({ restoreFocus = true } = {}) {
+  if (!elementsListOpen || !elementsListElement) {
+    return;
+  }
+
+  if (elementsListElement.parentNode) {
+    elementsListElement.parentNode.removeChild(elementsListElement);
+  }
+
+  elementsListElement = null;
+  elementsListItems = [];
+  elementsListOpen = false;
+
+  if (restoreFocus) {
+    restoreFocusAfterDialog('Close elements list');
+  }
+}
+
+/**
+ * Toggle the command palette
+ */
+function toggleCommandPalette() {
+  if (commandPaletteOpen) {
+    closeCommandPalette();
+  } else {
+    openCommandPalette();
+  }
+}
+
+/**
+ * Get everything the command palette can run or go to: EasyKeyNav's commands, then the
+ * page's headings and landmarks
+ * @returns {Array<{kind: string, label: string, keys: string, run: function(): void}>} - Items in default order
+ */
+function getCommandPaletteItems() {
+  // Range commands need a number key, and opening the palette from itself does nothing
+  const commands = EASYNAV_COMMANDS
+    .filter(command => !command.range && command.id !== 'commandPalette')
+    .map(command => ({
+      kind: 'Command',
+      label: command.description,
+      keys: keyBindings[command.id] ? formatCommandKeys(command.id) : '',
+      run: () => {
+        // Commands such as "Next heading" start from the element focused before the palette opened
+        closeCommandPalette();
+        COMMAND_HANDLERS[command.id]();
+      }
+    }));
+
+  const goTo = (element, description) => () => {
+    if (!element.isConnected) {
+      closeCommandPalette();
+      announce('That part of the page is no longer there', 'assertive');
+      return;
+    }
+    closeCommandPalette({ restoreFocus: false });
+    makeElementFocusableAndFocus(element, `Command palette - ${description}`);
+    announce(description);
+  };
+
+  const headings = getAllHeadings().map(heading => ({
+    kind: `Heading level ${getHeadingLevel(heading)}`,
+    label: getElementText(heading) || '(empty heading)',
+    keys: '',
+    run: goTo(heading, describeHeading(heading))
+  }));
+
+  const landmarks = getAllLandmarks().map(landmark => {
+    const label = getLandmarkLabel(landmark);
+    return {
+      kind: 'Landmark',
+      label: label ? `${getLandmarkRoleName(landmark)}: ${label}` : getLandmarkRoleName(landmark),
+      keys: '',
+      run: goTo(landmark, describeLandmark(landmark))
+    };
+  });
+
+  return [...commands, ...headings, ...landmarks];
+}
+
+/**
+ * Score how well a search matches some text. Every character of the search (ignoring spaces)
+ * must appear in the text in order; matches at the start of words and runs of consecutive
+ * characters score higher, so "nh" finds "Next heading" before "Navigation landmark, Home".
+ * @param {string} search - What the user typed
+ * @param {string} text - The text to match
+ * @returns {number} - The score, or -1 if the text doesn't match
+ */
+function getFuzzyMatchScore(search, text) {
+  const query = search.toLowerCase().replace(/\s+/g, '');
+  const haystack = text.toLowerCase();
+  let score = haystack.includes(search.toLowerCase().trim()) ? 20 : 0;
+  let position = 0;
+  let previousIndex = -2;
+
+  for (const char of query) {
+    const index = haystack.indexOf(char, position);
+    if (index === -1) {
+      return -1;
+    }
+
+    score += 1;
+    if (index === previousIndex + 1) {
+      score += 5;
+    }
+    if (index === 0 || /[\s\-_:,.(/]/.test(haystack[index - 1])) {
+      score += 10;
+    }
+    previousIndex = index;
+    position = index + 1;
+  }
+
+  return score;
+}
+
+/**
+ * Open the command palette: one searchable list of EasyKeyNav's commands and the page's
+ * headings and landmarks
+ */
+function openCommandPalette() {
+  if (commandPaletteOpen) {
+    return;
+  }
+
+  // Only one EasyKeyNav dialog is open at a time
+  closeOtherEasyNavDialogs(closeCommandPalette);
+
+  // The dialog's screen reader text uses the shared .easynav-visually-hidden class
+  addSharedStyles();
+
+  // Store the currently focused element to restore later
+  lastFocusedElement = getDeepActiveElement();
+
+  commandPaletteElement = document.createElement('div');
+  commandPaletteElement.id = 'easynav-palette-dialog';
+  commandPaletteElement.className = 'easynav-dialog';
+  commandPaletteElement.setAttribute('role', 'dialog');
+  commandPaletteElement.setAttribute('aria-modal', 'true');
+  commandPaletteElement.setAttribute('aria-labelledby', 'easynav-palette-title');
+  commandPaletteElement.setAttribute('aria-describedby', 'easynav-palette-intro');
+
+  commandPaletteElement.innerHTML = `
+    <style>
+      #easynav-palette-dialog {
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        z-index: 2147483647;
+        background: rgba(0, 0, 0, 0.75);
+        display: flex;
+        align-items: flex-start;
+        justify-content: center;
+        padding: 10vh 1rem 1rem 1rem;
+      }
+
+      #easynav-palette-content {
+        position: relative;
+        background: #ffffff;
+        color: #1a1a1a;
+        border-radius: 8px;
+        box-shadow: 0 4px 24px rgba(0, 0, 0, 0.3);
+        width: 600px;
+        max-width: 100%;
+        max-height: 70vh;
+        display: flex;
+        flex-direction: column;
+        padding: 1.25rem;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 14px;
+        line-height: 1.5;
+      }
+
+      #easynav-palette-title {
+        display: block;
+        margin: 0 0 0.5rem 0;
+        font-size: 1rem;
+        font-weight: 600;
+        color: #1a1a1a;
+      }
+
+      #easynav-palette-input {
+        width: 100%;
+        box-sizing: border-box;
+        padding: 0.5rem;
+        border: 1px solid #767676;
+        border-radius: 4px;
+        font: inherit;
+        font-size: 1rem;
+        color: inherit;
+        background: transparent;
+        margin-bottom: 0.75rem;
+      }
+
+      #easynav-palette-input:focus-visible {
+        outline: 3px solid #1a73e8;
+        outline-offset: 2px;
+      }
+
+      #easynav-palette-list {
+        list-style: none;
+        margin: 0;
+        padding: 0;
+        overflow-y: auto;
+        min-height: 6rem;
+        border: 1px solid #e0e0e0;
+        border-radius: 4px;
+      }
+
+      .easynav-palette-option {
+        display: flex;
+        align-items: baseline;
+        gap: 0.5rem;
+        padding: 0.375rem 0.5rem;
+        cursor: pointer;
+        border-bottom: 1px solid #e0e0e0;
+      }
+
+      .easynav-palette-option:last-child {
+        border-bottom: none;
+      }
+
+      .easynav-palette-option[aria-selected="true"] {
+        background: #e8f0fe;
+        outline: 2px solid #1a73e8;
+        outline-offset: -2px;
+      }
+
+      .easynav-palette-label {
+        flex: 1;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      .easynav-palette-kind {
+        color: #4a4a4a;
+        font-size: 0.8125rem;
+        white-space: nowrap;
+      }
+
+      .easynav-palette-keys {
+        font-family: 'Courier New', Courier, monospace;
+        font-weight: 600;
+        background: #f5f5f5;
+        padding: 0 0.25rem;
+        border-radius: 4px;
+        white-space: nowrap;
+      }
+
+      #easynav-palette-status {
+        margin: 0.5rem 0 0 0;
+        color: #4a4a4a;
+      }
+
+      @media (prefers-color-scheme: dark) {
+        #easynav-palette-content {
+          background: #202124;
+          color: #e8eaed;
+        }
+
+        #easynav-palette-title {
+          color: #e8eaed;
+        }
+
+        #easynav-palette-input {
+          border-color: #9aa0a6;
+        }
+
+        #easynav-palette-input:focus-visible {
+          outline-color: #8ab4f8;
+        }
+
+        #easynav-palette-list,
+        .easynav-palette-option {
+          border-color: #3c4043;
+        }
+
+        .easynav-palette-option[aria-selected="true"] {
+          background: #394457;
+          outline-color: #8ab4f8;
+        }
+
+        .easynav-palette-kind,
+        #easynav-palette-status {
+          color: #bdc1c6;
+        }
+
+        .easynav-palette-keys {
+          background: #3c4043;
+        }
+      }
+
+      @media (forced-colors: active) {
+        .easynav-palette-option[aria-selected="true"] {
+          outline-color: Highlight;
+        }
+      }
+    </style>
+    <div id="easynav-palette-content">
+      <label id="easynav-palette-title" for="easynav-palette-input">Command palette</label>
+      <p id="easynav-palette-intro" class="easynav-visually-hidden">
+        Type to search commands, headings and landmarks. Use the up and down arrow keys to choose and press Enter to run. Press Escape to close.
+      </p>
+      <input
+        id="easynav-palette-input"
+        type="text"
+        role="combobox"
+        aria-expanded="true"
+        aria-autocomplete="list"
+        aria-controls="easynav-palette-list"
+        aria-describedby="easynav-palette-intro"
+        autocomplete="off"
+        spellcheck="false">
+      <ul id="easynav-palette-list" role="listbox" aria-labelledby="easynav-palette-title"></ul>
+      <p id="easynav-palette-status" role="status" aria-live="polite"></p>
+    </div>
+  `;
+
+  document.body.appendChild(commandPaletteElement);
+
+  const input = commandPaletteElement.querySelector('#easynav-palette-input');
+  const list = commandPaletteElement.querySelector('#easynav-palette-list');
+
+  input.addEventListener('input', renderCommandPalette);
+  input.addEventListener('keydown', handleCommandPaletteKeyDown);
+
+  // Keep focus in the input when an option is clicked
+  list.addEventListener('mousedown', (event) => {
+    event.preventDefault();
+  });
+  list.addEventListener('click', (event) => {
+    const option = event.target.closest('.easynav-palette-option');
+    if (option) {
+      runCommandPaletteItem(parseInt(option.dataset.index));
+    }
+  });
+
+  renderCommandPalette();
+
+  // Set up focus trap
+  setupFocusTrap(commandPaletteElement);
+
+  // Close dialog when focus leaves it
+  setupFocusOutHandler(commandPaletteElement, closeCommandPalette);
+
+  commandPaletteOpen = true;
+
+  input.focus();
+  logFocusChange('Open command palette');
+}
+
+/**
+ * Render the options that match the search text, best match first
+ */
+function renderCommandPalette() {
+  if (!commandPaletteElement) {
+    return;
+  }
+
+  const input = commandPaletteElement.querySelector('#easynav-palette-input');
+  const list = commandPaletteElement.querySelector('#easynav-palette-list');
+  const status = commandPaletteElement.querySelector('#easynav-palette-status');
+  const search = input.value.trim();
+
+  let items = getCommandPaletteItems();
+  if (search) {
+    items = items
+      .map((item, order) => ({ item, order, score: getFuzzyMatchScore(search, item.label) }))
+      .filter(match => match.score >= 0)
+      // Best match first; equal matches keep their usual order
+      .sort((a, b) => b.score - a.score || a.order - b.order)
+      .map(match => match.item);
+  }
+
+  commandPaletteItems = items;
+  commandPaletteActiveIndex = 0;
+  list.textContent = '';
+
+  items.forEach((item, index) => {
+    const option = document.createElement('li');
+    option.className = 'easynav-palette-option';
+    option.id = `easynav-palette-option-${index}`;
+    option.setAttribute('role', 'option');
+    option.setAttribute('aria-selected', index === 0 ? 'true' : 'false');
+    option.dataset.index = index.toString();
+
+    const label = document.createElement('span');
+    label.className = 'easynav-palette-label';
+    label.textContent = item.label;
+    option.appendChild(label);
+
+    // The commas keep the parts apart when a screen reader reads the option
+    const kind = document.createElement('span');
+    kind.className = 'easynav-palette-kind';
+    kind.innerHTML = '<span class="easynav-visually-hidden">, </span>';
+    kind.appendChild(document.createTextNode(item.kind));
+    option.appendChild(kind);
+
+    if (item.keys) {
+      const keys = document.createElement('span');
+      keys.className = 'easynav-palette-keys';
+      keys.innerHTML = '<span class="easynav-visually-hidden">, shortcut </span>';
+      keys.appendChild(document.createTextNode(item.keys));
+      option.appendChild(keys);
+    }
+
+    list.appendChild(option);
+  });
+
+  if (items.length > 0) {
+    input.setAttribute('aria-activedescendant', 'easynav-palette-option-0');
+    status.textContent = `${items.length} ${items.length === 1 ? 'result' : 'results'}`;
+  } else {
+    input.removeAttribute('aria-activedescendant');
+    status.textContent = `Nothing matches "${search}"`;
+  }
+}
+
+/**
+ * Mark an option as the active one (focus stays in the input, per the combobox pattern)
+ * @param {number} index - The option's index
+ */
+function setCommandPaletteActiveOption(index) {
+  const input = commandPaletteElement.querySelector('#easynav-palette-input');
+  const options = commandPaletteElement.querySelectorAll('.easynav-palette-option');
+  if (options.length === 0) {
+    return;
+  }
+
+  commandPaletteActiveIndex = (index + options.length) % options.length;
+  options.forEach((option, optionIndex) => {
+    option.setAttribute('aria-selected', optionIndex === commandPaletteActiveIndex ? 'true' : 'false');
+  });
+
+  const activeOption = options[commandPaletteActiveIndex];
+  input.setAttribute('aria-activedescendant', activeOption.id);
+  activeOption.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Handle keyboard interaction in the command palette input (arrow keys, Page Up/Down, Enter)
+ * @param {KeyboardEvent} event - The keyboard event
+ */
+function handleCommandPaletteKeyDown(event) {
+  switch (event.key) {
+    case 'ArrowDown':
+      event.preventDefault();
+      setCommandPaletteActiveOption(commandPaletteActiveIndex + 1);
+      break;
+    case 'ArrowUp':
+      event.preventDefault();
+      setCommandPaletteActiveOption(commandPaletteActiveIndex - 1);
+      break;
+    case 'PageDown':
+      event.preventDefault();
+      setCommandPaletteActiveOption(Math.min(commandPaletteActiveIndex + 10, commandPaletteItems.length - 1));
+      break;
+    case 'PageUp':
+      event.preventDefault();
+      setCommandPaletteActiveOption(Math.max(commandPaletteActiveIndex - 10, 0));
+      break;
+    case 'Enter':
+      event.preventDefault();
+      runCommandPaletteItem(commandPaletteActiveIndex);
+      break;
+  }
+}
+
+/**
+ * Run a command palette option: a command, or moving focus to a heading or landmark
+ * @param {number} index - The option's index
+ */
+function runCommandPaletteItem(index) {
+  const item = commandPaletteItems[index];
+  if (item) {
+    item.run();
+  }
+}
+
+/**
+ * Close the command palette
+ * @param {{restoreFocus: boolean}} [options] - Whether to return focus to where it was before opening
+ */
+function closeCommandPalette({ restoreFocus = true } = {}) {
+  if (!commandPaletteOpen || !commandPaletteElement) {
+    return;
+  }
+
+  if (commandPaletteElement.parentNode) {
+    commandPaletteElement.parentNode.removeChild(commandPaletteElement);
+  }
+
+  commandPaletteElement = null;
+  commandPaletteItems = [];
+  commandPaletteOpen = false;
+
+  if (restoreFocus) {
+    restoreFocusAfterDialog('Close command palette');
+  } else {
+    lastFocusedElement = null;
+  }
+}
+
+/**
+ * Get everything find mode searches: tab stops and headings by both their accessible name and
+ * their visible text, and landmarks by their accessible name (their text would match almost any search)
+ * @returns {Array<{element: Element, text: string, describe: function(Element): string}>} - Searchable
+ *   elements in document order, with their lowercase text and how to announce them
+ */
+function getFindCandidates() {
+  const candidates = new Map();
+  const add = (element, text, describe) => {
+    if (text && !candidates.has(element) && !element.closest('#easynav-skip-links, .easynav-dialog')) {
+      candidates.set(element, { element, text: text.toLocaleLowerCase(), describe });
+    }
+  };
+
+  // The name and the visible text can differ (an "X" button named "Close"), so search both; the
+  // line break between them keeps a search from matching across the two
+  const getSearchText = element => {
+    const visibleText = (element.innerText || '').replace(/\s+/g, ' ').trim();
+    return `${getElementText(element)}\n${visibleText}`.trim();
+  };
+
+  // Every tab stop, including the radio buttons Tab skips
+  getCachedElements('tabStops', findAllTabStops).forEach(element => add(element, getSearchText(element), describeElement));
+  getAllHeadings().forEach(heading => add(heading, getSearchText(heading), describeHeading));
+  getAllLandmarks().forEach(landmark => add(landmark, getLandmarkLabel(landmark), describeLandmark));
+
+  return sortByDocumentOrder([...candidates.keys()]).map(element => candidates.get(element));
+}
+
+/**
+ * Open the find bar: type to move a highlight through matching elements, then press Escape to
+ * move focus to the match (the browser's Ctrl+F highlights text but leaves focus behind)
+ */
+function openFindBar() {
+  if (findBarOpen) {
+    findBarElement.querySelector('#easynav-find-input').select();
+    return;
+  }
+
+  // Only one EasyKeyNav dialog is open at a time
+  closeOtherEasyNavDialogs(closeFindBar);
+
+  // The dialog's screen reader text uses the shared .easynav-visually-hidden class
+  addSharedStyles();
+
+  // Store the currently focused element: searching starts there, and focus returns there if nothing matches
+  lastFocusedElement = getDeepActiveElement();
+  findCandidates = getFindCandidates();
+  findMatches = [];
+  findMatchIndex = -1;
+
+  findBarElement = document.createElement('div');
+  findBarElement.id = 'easynav-find-bar';
+  findBarElement.className = 'easynav-dialog';
+  findBarElement.setAttribute('role', 'dialog');
+  findBarElement.setAttribute('aria-labelledby', 'easynav-find-title');
+
+  findBarElement.innerHTML = `
+    <style>
+      #easynav-find-bar {
+        position: fixed;
+        right: 1rem;
+        bottom: 1rem;
+        z-index: 2147483647;
+        width: 360px;
+        max-width: calc(100% - 2rem);
+        box-sizing: border-box;
+        background: #ffffff;
+        color: #1a1a1a;
+        border: 1px solid #767676;
+        border-radius: 8px;
+        box-shadow: 0 4px 24px rgba(0, 0, 0, 0.3);
+        padding: 0.75rem;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 14px;
+        line-height: 1.5;
+      }
+
+      #easynav-find-title {
+        display: block;
+        margin: 0 0 0.25rem 0;
+        font-weight: 600;
+      }
+
+      #easynav-find-input {
+        width: 100%;
+        box-sizing: border-box;
+        padding: 0.375rem 0.5rem;
+        border: 1px solid #767676;
+        border-radius: 4px;
+        font: inherit;
+        font-size: 1rem;
+        color: inherit;
+        background: transparent;
+      }
+
+      #easynav-find-input:focus-visible {
+        outline: 3px solid #1a73e8;
+        outline-offset: 2px;
+      }
+
+      #easynav-find-status {
+        margin: 0.375rem 0 0 0;
+        color: #4a4a4a;
+        min-height: 1.5em;
+      }
+
+      #easynav-find-highlight {
+        position: fixed;
+        z-index: 2147483646;
+        pointer-events: none;
+        outline: 3px solid #e37400;
+        outline-offset: 2px;
+        background: rgba(255, 213, 79, 0.3);
+        border-radius: 2px;
+      }
+
+      @media (prefers-color-scheme: dark) {
+        #easynav-find-bar {
+          background: #202124;
+          color: #e8eaed;
+          border-color: #9aa0a6;
+        }
+
+        #easynav-find-input {
+          border-color: #9aa0a6;
+        }
+
+        #easynav-find-input:focus-visible {
+          outline-color: #8ab4f8;
+        }
+
+        #easynav-find-status {
+          color: #bdc1c6;
+        }
+      }
+
+      @media (forced-colors: active) {
+        #easynav-find-highlight {
+          outline-color: Highlight;
+          background: transparent;
+        }
+      }
+    </style>
+    <label id="easynav-find-title" for="easynav-find-input">Find</label>
+    <p id="easynav-find-intro" class="easynav-visually-hidden">
+      Type to find links, buttons, form fields, headings and landmarks. Press Enter for the next match and Shift+Enter for the previous one. Press Escape to move focus to the match.
+    </p>
+    <input
+      id="easynav-find-input"
+      type="text"
+      aria-describedby="easynav-find-intro"
+      autocomplete="off"
+      spellcheck="false">
+    <p id="easynav-find-status" role="status" aria-live="polite"></p>
+  `;
+
+  // The highlight is a visual aid (screen reader users hear each match through the status).
+  // It lives inside the find bar so the bar's stylesheet applies to it.
+  findHighlightElement = document.createElement('div');
+  findHighlightElement.id = 'easynav-find-highlight';
+  findHighlightElement.setAttribute('aria-hidden', 'true');
+  findHighlightElement.hidden = true;
+  findBarElement.appendChild(findHighlightElement);
+
+  document.body.appendChild(findBarElement);
+
+  const input = findBarElement.querySelector('#easynav-find-input');
+  input.addEventListener('input', updateFindMatches);
+  input.addEventListener('keydown', handleFindBarKeyDown);
+
+  // Leaving the find bar (Tab, a click) closes it without moving focus again
+  setupFocusOutHandler(findBarElement, () => closeFindBar({ restoreFocus: false }));
+
+  // Keep the highlight on its element as the page scrolls or resizes
+  window.addEventListener('scroll', positionFindHighlight, { capture: true, passive: true });
+  window.addEventListener('resize', positionFindHighlight);
+
+  findBarOpen = true;
+
+  input.focus();
+  logFocusChange('Open find bar');
+}
+
+/**
+ * Find the elements that match the search text, keeping the current match if it still matches
+ * or else starting from the element that was focused when the find bar opened
+ */
+function updateFindMatches() {
+  const input = findBarElement.querySelector('#easynav-find-input');
+  const search = input.value.replace(/\s+/g, ' ').trim().toLocaleLowerCase();
+  const currentMatch = findMatches[findMatchIndex];
+
+  findMatches = search ? findCandidates.filter(candidate => candidate.text.includes(search)) : [];
+
+  if (findMatches.length === 0) {
+    findMatchIndex = -1;
+    positionFindHighlight();
+    setFindStatus(search ? `Nothing matches "${input.value.trim()}"` : '');
+    return;
+  }
+
+  findMatchIndex = findMatches.indexOf(currentMatch);
+  if (findMatchIndex === -1) {
+    // The first match at or after the element focused before the find bar opened
+    const reference = lastFocusedElement && lastFocusedElement !== document.body ? lastFocusedElement : null;
+    const next = reference ? findMatches.findIndex(match => compareComposedPosition(reference, match.element) <= 0) : 0;
+    findMatchIndex = next === -1 ? 0 : next;
+  }
+
+  showFindMatch(1, false);
+}
+
+/**
+ * Move to the next or previous match, wrapping around at either end
+ * @param {number} direction - 1 for the next match, -1 for the previous one
+ */
+function moveFindMatch(direction) {
+  if (findMatches.length === 0) {
+    return;
+  }
+
+  const position = findMatchIndex + direction;
+  findMatchIndex = (position + findMatches.length) % findMatches.length;
+  showFindMatch(direction, position < 0 || position >= findMatches.length);
+}
+
+/**
+ * Highlight the current match, scroll it into view and report it in the find bar's status
+ * @param {number} direction - 1 if the search moved forward, -1 if it moved backward
+ * @param {boolean} wrapped - Whether the search wrapped around the end of the matches
+ */
+function showFindMatch(direction, wrapped) {
+  const match = findMatches[findMatchIndex];
+  match.element.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+  positionFindHighlight();
+  setFindStatus(getNavigationAnnouncement(match.describe(match.element), findMatchIndex, findMatches.length, wrapped, direction));
+}
+
+/**
+ * Move the highlight over the current match, or hide it if there is none
+ */
+function positionFindHighlight() {
+  if (!findHighlightElement) {
+    return;
+  }
+
+  const match = findMatches[findMatchIndex];
+  if (!match || !match.element.isConnected) {
+    findHighlightElement.hidden = true;
+    return;
+  }
+
+  const rect = getViewportRect(match.element);
+  findHighlightElement.style.top = `${rect.top}px`;
+  findHighlightElement.style.left = `${rect.left}px`;
+  findHighlightElement.style.width = `${rect.width}px`;
+  findHighlightElement.style.height = `${rect.height}px`;
+  findHighlightElement.hidden = false;
+}
+
+/**
+ * Show a message in the find bar's status region, which screen readers announce
+ * @param {string} message - The message
+ */
+function setFindStatus(message) {
+  const status = findBarElement.querySelector('#easynav-find-status');
+  status.textContent = message;
+}
+
+/**
+ * Handle Enter and Shift+Enter in the find bar input
+ * @param {KeyboardEvent} event - The keyboard event
+ */
+function handleFindBarKeyDown(event) {
+  if (event.key === 'Enter') {
+    event.preventDefault();
+    moveFindMatch(event.shiftKey ? -1 : 1);
+  }
+}
+
+/**
+ * Close the find bar
+ * @param {{restoreFocus: boolean}} [options] - Whether to move focus: to the current match, or
+ *   if nothing matched back to where it was before opening
+ */
+function closeFindBar({ restoreFocus = true } = {}) {
+  if (!findBarOpen || !findBarElement) {
+    return;
+  }
+
+  const match = findMatches[findMatchIndex];
+
+  window.removeEventListener('scroll', positionFindHighlight, { capture: true });
+  window.removeEventListener('resize', positionFindHighlight);
+
+  if (findBarElement.parentNode) {
+    findBarElement.parentNode.removeChild(findBarElement);
+  }
+
+  findBarElement = null;
+  findHighlightElement = null;
+  findCandidates = [];
+  findMatches = [];
+  findMatchIndex = -1;
+  findBarOpen = false;
+
+  if (!restoreFocus) {
+    lastFocusedElement = null;
+  } else if (match && match.element.isConnected) {
+    lastFocusedElement = null;
+    const description = match.describe(match.element);
+    makeElementFocusableAndFocus(match.element, `Find - ${description}`);
+    announce(description);
+  } else {
+    restoreFocusAfterDialog('Close find bar');
+  }
+}
+
+// Marks are saved per page in chrome.storage.local, under one key per page URL so tabs on
+// different pages never overwrite each other's marks. They aren't synced: a page's layout on
+// another computer (signed in as someone else, a different screen size) often differs.
+const MARKS_STORAGE_PREFIX = 'marks:';
+
+// Changes are queued, as background.js does for settings, so two marks set in quick succession
+// (Shift+M a, Shift+M b) can't both read the old marks and lose one of them
+let marksQueue = Promise.resolve();
+
+/**
+ * Get the storage key for the current page's marks
+ * @returns {string} - The key, e.g. "marks:https://example.com/admin"
+ */
+function getMarksStorageKey() {
+  return MARKS_STORAGE_PREFIX + getPageUrl();
+}
+
+/**
+ * Read the marks saved for the current page from storage
+ * @param {function(Object): void} callback - Called with mark letter to {locator, description}
+ */
+function readMarks(callback) {
+  const key = getMarksStorageKey();
+  chrome.storage.local.get(key, (result) => {
+    callback((result && result[key]) || {});
+  });
+}
+
+/**
+ * Load the marks saved for the current page, once any changes in progress are saved
+ * @param {function(Object): void} callback - Called with mark letter to {locator, description}
+ */
+function loadMarks(callback) {
+  marksQueue.then(() => readMarks(callback));
+}
+
+/**
+ * Change the marks for the current page after any changes already in progress
+ * @param {function(Object): void} update - Changes the marks object it is given
+ * @param {function(Object): void} [callback] - Called with the marks once they are saved
+ */
+function updateMarks(update, callback) {
+  marksQueue = marksQueue.then(() => new Promise((resolve) => {
+    readMarks((marks) => {
+      update(marks);
+      saveMarks(marks, () => {
+        resolve();
+        if (callback) {
+          callback(marks);
+        }
+      });
+    });
+  }));
+}
+
+/**
+ * Save the marks for the current page, removing its key once no marks are left
+ * @param {Object} marks - Mark letter to {locator, description}
+ * @param {function(): void} [callback] - Called once the marks are saved
+ */
+function saveMarks(marks, callback) {
+  const key = getMarksStorageKey();
+  const done = () => {
+    if (chrome.runtime.lastError) {
+      console.log('[EasyKeyNav] Could not save marks:', chrome.runtime.lastError.message);
+    }
+    if (callback) {
+      callback();
+    }
+  };
+
+  if (Object.keys(marks).length === 0) {
+    chrome.storage.local.remove(key, done);
+  } else {
+    chrome.storage.local.set({ [key]: marks }, done);
+  }
+}
+
+/**
+ * Get the element a new mark would be set on
+ * @returns {Element|null} - The focused page element, or null if focus is on the body or in
+ *   EasyKeyNav's own UI
+ */
+function getMarkableElement() {
+  const element = getDeepActiveElement();
+  if (!element || element === element.ownerDocument.body || element === element.ownerDocument.documentElement ||
+      element.closest('#easynav-skip-links, .easynav-dialog')) {
+    return null;
+  }
+  return element;
+}
+
+/**
+ * Start setting or jumping to a mark; the next key press is the mark's letter
+ * @param {string} action - 'set' or 'jump'
+ */
+function startMarkCommand(action) {
+  if (action === 'set' && !getMarkableElement()) {
+    announce('Nothing is focused to mark', 'assertive');
+    return;
+  }
+
+  pendingMarkAction = action;
+  announce(action === 'set' ? 'Set mark: press a letter' : 'Jump to mark: press a letter');
+}
+
+/**
+ * Handle the key press that follows "set mark" or "jump to mark": a letter from a to z names the
+ * mark, Escape cancels, and any other key cancels and does what it normally does
+ * @param {KeyboardEvent} event - The keyboard event
+ */
+function handleMarkLetterKey(event) {
+  // Let modifier keys on their own through so Shift can be held while typing the letter
+  if (['Shift', 'Alt', 'Control', 'Meta', 'CapsLock'].includes(event.key)) {
+    return;
+  }
+
+  const action = pendingMarkAction;
+  pendingMarkAction = null;
+
+  // Read the letter from event.code so Shift and the keyboard layout don't change it
+  const letterMatch = event.code.match(/^Key([A-Z])$/);
+  if (!letterMatch || event.ctrlKey || event.metaKey || event.altKey) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+    }
+    announce('Mark cancelled');
+    return;
+  }
+
+  event.preventDefault();
+  event.stopPropagation();
+
+  const letter = letterMatch[1].toLowerCase();
+  if (action === 'set') {
+    setMark(letter);
+  } else {
+    jumpToMark(letter);
+  }
+}
+
+/**
+ * Save the focused element as a mark on this page, replacing any mark with the same letter
+ * @param {string} letter - The mark's letter, a to z
+ */
+function setMark(letter) {
+  const element = getMarkableElement();
+  if (!element) {
+    announce('Nothing is focused to mark', 'assertive');
+    return;
+  }
+
+  const description = describeElement(element);
+  const locator = getElementLocator(element, { occurrence: true });
+
+  updateMarks((marks) => {
+    marks[letter] = { locator, description };
+  }, () => {
+    if (DEBUG_FOCUS) {
+      console.log(`[EasyKeyNav] Set mark ${letter}:`, element, locator);
+    }
+    announce(`Mark ${letter} set, ${description}`);
+  });
+}
+
+/**
+ * Move focus to a mark saved on this page
+ * @param {string} letter - The mark's letter, a to z
+ */
+function jumpToMark(letter) {
+  loadMarks((marks) => {
+    const mark = marks[letter];
+    if (!mark) {
+      announce(`No mark ${letter} on this page`, 'assertive');
+      return;
     }
-    return 0;
+
+    const element = resolveElementLocator(mark.locator);
+    if (!element) {
+      announce(`Mark ${letter} not found: ${mark.description}`, 'assertive');
+      return;
+    }
+
+    focusMark(letter, element);
   });
+}
 
-  return visibleLandmarks;
+/**
+ * Focus a mark's element and announce it
+ * @param {string} letter - The mark's letter
+ * @param {Element} element - The element the mark resolved to
+ */
+function focusMark(letter, element) {
+  const description = describeElement(element);
+  makeElementFocusableAndFocus(element, `Jump to mark ${letter} - ${description}`);
+  announce(`Mark ${letter}, ${description}`);
 }
 
 /**
- * Get the landmark role name for a landmark element
- * @param {Element} landmark - The landmark element
- * @returns {string} - The landmark role name
+ * Open the marks dialog, which lists this page's marks to jump to or delete
  */
-function getLandmarkRole(landmark) {
-  // Check for explicit role attribute
-  const explicitRole = landmark.getAttribute('role');
-  if (explicitRole) {
-    return explicitRole;
+function openMarksDialog() {
+  if (marksDialogOpen) {
+    return;
   }
 
-  // Determine implicit role from tag name
-  const tagName = landmark.tagName.toLowerCase();
+  // Only one EasyKeyNav dialog is open at a time
+  closeOtherEasyNavDialogs(closeMarksDialog);
 
-  switch (tagName) {
-    case 'header':
-      // Only banner if not nested in article/section
-      return !landmark.closest('article, section') ? 'banner' : 'header';
-    case 'nav':
-      return 'navigation';
-    case 'main':
-      return 'main';
-    case 'footer':
-      // Only contentinfo if not nested in article/section
-      return !landmark.closest('article, section') ? 'contentinfo' : 'footer';
-    case 'aside':
-      return 'complementary';
-    case 'section':
-      // Only region if has aria-label or aria-labelledby
-      if (landmark.hasAttribute('aria-label') || landmark.hasAttribute('aria-labelledby')) {
-        return 'region';
+  // Store the currently focused element to restore later
+  lastFocusedElement = getDeepActiveElement();
+
+  marksDialogElement = document.createElement('div');
+  marksDialogElement.id = 'easynav-marks-dialog';
+  marksDialogElement.className = 'easynav-dialog';
+  marksDialogElement.setAttribute('role', 'dialog');
+  marksDialogElement.setAttribute('aria-modal', 'true');
+  marksDialogElement.setAttribute('aria-labelledby', 'easynav-marks-title');
+  marksDialogElement.setAttribute('aria-describedby', 'easynav-marks-intro');
+
+  marksDialogElement.innerHTML = `
+    <style>
+      #easynav-marks-dialog {
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        z-index: 2147483647;
+        background: rgba(0, 0, 0, 0.75);
+        display: flex;
+        align-items: flex-start;
+        justify-content: center;
+        padding: 10vh 1rem 1rem 1rem;
       }
-      return 'section';
-    case 'form':
-      // Only form landmark if has aria-label or aria-labelledby
-      if (landmark.hasAttribute('aria-label') || landmark.hasAttribute('aria-labelledby')) {
-        return 'form';
+
+      #easynav-marks-content {
+        position: relative;
+        background: #ffffff;
+        color: #1a1a1a;
+        border-radius: 8px;
+        box-shadow: 0 4px 24px rgba(0, 0, 0, 0.3);
+        width: 480px;
+        max-width: 100%;
+        max-height: 70vh;
+        display: flex;
+        flex-direction: column;
+        padding: 1.25rem;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 14px;
+        line-height: 1.5;
       }
-      return 'form (unlabeled)';
-    default:
-      return 'landmark';
-  }
+
+      #easynav-marks-title {
+        margin: 0 2.5rem 0.5rem 0;
+        font-size: 1.25rem;
+        font-weight: 600;
+        color: #1a1a1a;
+      }
+
+      #easynav-marks-intro {
+        margin: 0 0 0.75rem 0;
+        color: #4a4a4a;
+      }
+
+      #easynav-marks-close {
+        position: absolute;
+        top: 0.75rem;
+        right: 0.75rem;
+        background: transparent;
+        border: none;
+        font-size: 1.5rem;
+        cursor: pointer;
+        padding: 0.5rem;
+        color: #4a4a4a;
+        line-height: 1;
+        width: 2.5rem;
+        height: 2.5rem;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        border-radius: 4px;
+      }
+
+      #easynav-marks-close:hover {
+        background: #f0f0f0;
+        color: #1a1a1a;
+      }
+
+      #easynav-marks-list {
+        list-style: none;
+        margin: 0;
+        padding: 0;
+        overflow-y: auto;
+      }
+
+      .easynav-marks-item {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        padding: 0.25rem 0;
+        border-bottom: 1px solid #e0e0e0;
+      }
+
+      .easynav-marks-item:last-child {
+        border-bottom: none;
+      }
+
+      .easynav-marks-item button {
+        font: inherit;
+        color: inherit;
+        background: transparent;
+        border: 1px solid transparent;
+        border-radius: 4px;
+        padding: 0.25rem 0.5rem;
+        cursor: pointer;
+      }
+
+      .easynav-marks-jump {
+        flex: 1;
+        display: flex;
+        align-items: baseline;
+        gap: 0.5rem;
+        text-align: left;
+        min-width: 0;
+      }
+
+      .easynav-marks-jump:hover,
+      .easynav-marks-delete:hover {
+        background: #f0f0f0;
+      }
+
+      .easynav-marks-delete {
+        border-color: #767676 !important;
+      }
+
+      .easynav-marks-letter {
+        font-family: 'Courier New', Courier, monospace;
+        font-weight: 600;
+        background: #f5f5f5;
+        padding: 0 0.375rem;
+        border-radius: 4px;
+      }
+
+      .easynav-marks-description {
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      #easynav-marks-dialog button:focus-visible {
+        outline: 3px solid #1a73e8;
+        outline-offset: 2px;
+      }
+
+      #easynav-marks-status {
+        margin: 0.5rem 0 0 0;
+        color: #4a4a4a;
+      }
+
+      @media (prefers-color-scheme: dark) {
+        #easynav-marks-content {
+          background: #202124;
+          color: #e8eaed;
+        }
+
+        #easynav-marks-title {
+          color: #e8eaed;
+        }
+
+        #easynav-marks-intro,
+        #easynav-marks-status,
+        #easynav-marks-close {
+          color: #bdc1c6;
+        }
+
+        #easynav-marks-close:hover,
+        .easynav-marks-jump:hover,
+        .easynav-marks-delete:hover {
+          background: #3c4043;
+          color: #e8eaed;
+        }
+
+        .easynav-marks-item {
+          border-bottom-color: #3c4043;
+        }
+
+        .easynav-marks-delete {
+          border-color: #9aa0a6 !important;
+        }
+
+        .easynav-marks-letter {
+          background: #3c4043;
+        }
+
+        #easynav-marks-dialog button:focus-visible {
+          outline-color: #8ab4f8;
+        }
+      }
+    </style>
+    <div id="easynav-marks-content">
+      <button id="easynav-marks-close" type="button" aria-label="Close marks">×</button>
+      <h1 id="easynav-marks-title">Marks</h1>
+      <p id="easynav-marks-intro"></p>
+      <ul id="easynav-marks-list" aria-labelledby="easynav-marks-title"></ul>
+      <p id="easynav-marks-status" role="status" aria-live="polite"></p>
+    </div>
+  `;
+
+  marksDialogElement.querySelector('#easynav-marks-intro').textContent =
+    `Marks saved for this page. Press ${formatCommandKeys('setMark')} then a letter to mark the focused element, and ${formatCommandKeys('jumpToMark')} then the letter to jump back to it. Press Escape to close.`;
+
+  document.body.appendChild(marksDialogElement);
+
+  marksDialogElement.querySelector('#easynav-marks-close').addEventListener('click', closeMarksDialog);
+  marksDialogElement.querySelector('#easynav-marks-list').addEventListener('click', handleMarksListClick);
+
+  // Set up focus trap
+  setupFocusTrap(marksDialogElement);
+
+  // Close dialog when focus leaves it
+  setupFocusOutHandler(marksDialogElement, closeMarksDialog);
+
+  marksDialogOpen = true;
+
+  loadMarks((marks) => {
+    // The dialog may have been closed while the marks were loading
+    if (!marksDialogOpen) {
+      return;
+    }
+    renderMarksList(marks);
+    focusMarksListItem(0);
+    logFocusChange('Open marks dialog');
+  });
 }
 
 /**
- * Get a descriptive label for a landmark
- * @param {Element} landmark - The landmark element
- * @returns {string} - The landmark label
+ * Show the marks in the marks dialog, in letter order
+ * @param {Object} marks - Mark letter to {locator, description}
  */
-function getLandmarkLabel(landmark) {
-  // Check for aria-label
-  const ariaLabel = landmark.getAttribute('aria-label');
-  if (ariaLabel) {
-    return ariaLabel;
+function renderMarksList(marks) {
+  marksListMarks = marks;
+
+  const list = marksDialogElement.querySelector('#easynav-marks-list');
+  list.textContent = '';
+
+  const letters = Object.keys(marks).sort();
+  letters.forEach(letter => {
+    const item = document.createElement('li');
+    item.className = 'easynav-marks-item';
+
+    const jumpButton = document.createElement('button');
+    jumpButton.type = 'button';
+    jumpButton.className = 'easynav-marks-jump';
+    jumpButton.dataset.letter = letter;
+    const letterLabel = document.createElement('span');
+    letterLabel.className = 'easynav-marks-letter';
+    letterLabel.textContent = letter;
+    const description = document.createElement('span');
+    description.className = 'easynav-marks-description';
+    description.textContent = marks[letter].description;
+    // The space keeps the letter and description apart in the button's accessible name
+    jumpButton.append(letterLabel, ' ', description);
+
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'easynav-marks-delete';
+    deleteButton.dataset.letter = letter;
+    deleteButton.setAttribute('aria-label', `Delete mark ${letter}`);
+    deleteButton.textContent = 'Delete';
+
+    item.append(jumpButton, deleteButton);
+    list.appendChild(item);
+  });
+
+  list.hidden = letters.length === 0;
+  setMarksStatus(letters.length === 0 ? 'No marks on this page yet' : '');
+}
+
+/**
+ * Focus the jump button of a mark in the dialog, or the close button when there are no marks
+ * @param {number} index - Position of the mark in the list (clamped to the last mark)
+ */
+function focusMarksListItem(index) {
+  const buttons = marksDialogElement.querySelectorAll('.easynav-marks-jump');
+  const target = buttons[Math.min(index, buttons.length - 1)] || marksDialogElement.querySelector('#easynav-marks-close');
+  target.focus();
+}
+
+/**
+ * Jump to or delete the mark whose button was activated
+ * @param {MouseEvent} event - The click event (Enter and Space on a button also click it)
+ */
+function handleMarksListClick(event) {
+  const button = event.target.closest('button[data-letter]');
+  if (!button) {
+    return;
   }
 
-  // Check for aria-labelledby
-  const labelledBy = landmark.getAttribute('aria-labelledby');
-  if (labelledBy) {
-    const labelElement = document.getElementById(labelledBy);
-    if (labelElement) {
-      return labelElement.textContent.trim();
-    }
+  const letter = button.dataset.letter;
+  const mark = marksListMarks[letter];
+
+  if (button.classList.contains('easynav-marks-delete')) {
+    const index = Object.keys(marksListMarks).sort().indexOf(letter);
+    updateMarks((marks) => {
+      delete marks[letter];
+    }, (marks) => {
+      if (!marksDialogOpen) {
+        return;
+      }
+      renderMarksList(marks);
+      focusMarksListItem(index);
+      setMarksStatus(`Mark ${letter} deleted`);
+    });
+    return;
   }
 
-  // For nav elements, try to find a heading inside
-  if (landmark.tagName.toLowerCase() === 'nav' || landmark.getAttribute('role') === 'navigation') {
-    const heading = landmark.querySelector('h1, h2, h3, h4, h5, h6');
-    if (heading) {
-      return heading.textContent.trim();
-    }
+  // Stay in the dialog if the element isn't on the page right now, so another mark can be chosen
+  const element = resolveElementLocator(mark.locator);
+  if (!element) {
+    setMarksStatus(`Mark ${letter} not found on the page`);
+    return;
   }
 
-  // No label found
-  return '';
+  closeMarksDialog({ restoreFocus: false });
+  focusMark(letter, element);
 }
 
 /**
- * Navigate to the next landmark on the page
+ * Show a message in the marks dialog's status region, which screen readers announce
+ * @param {string} message - The message
  */
-function navigateToNextLandmark() {
-  const landmarks = getAllLandmarks();
+function setMarksStatus(message) {
+  marksDialogElement.querySelector('#easynav-marks-status').textContent = message;
+}
 
-  if (landmarks.length === 0) {
+/**
+ * Close the marks dialog
+ * @param {{restoreFocus: boolean}} [options] - Whether to move focus back to where it was before
+ *   the dialog opened
+ */
+function closeMarksDialog({ restoreFocus = true } = {}) {
+  if (!marksDialogOpen || !marksDialogElement) {
     return;
   }
 
-  // Update the list if it changed
-  lastLandmarksList = landmarks;
-
-  // Move to next landmark
-  currentLandmarkIndex = (currentLandmarkIndex + 1) % landmarks.length;
+  if (marksDialogElement.parentNode) {
+    marksDialogElement.parentNode.removeChild(marksDialogElement);
+  }
 
-  const landmark = landmarks[currentLandmarkIndex];
+  marksDialogElement = null;
+  marksListMarks = {};
+  marksDialogOpen = false;
 
-  // Focus the landmark
-  const role = getLandmarkRole(landmark);
-  const label = getLandmarkLabel(landmark);
-  const landmarkDesc = label ? `${role} "${label}"` : role;
-  makeElementFocusableAndFocus(landmark, `Navigate to next landmark (l) - ${landmarkDesc}`);
+  if (restoreFocus) {
+    restoreFocusAfterDialog('Close marks dialog');
+  } else {
+    lastFocusedElement = null;
+  }
 }
 
+// The checks in the page structure audit, in the order the report lists them
+const AUDIT_CHECKS = [
+  { id: 'heading-h1', title: 'Level 1 headings' },
+  { id: 'heading-skipped-level', title: 'Skipped heading levels' },
+  { id: 'heading-empty', title: 'Empty headings' },
+  { id: 'landmark-unlabeled-duplicate', title: 'Duplicate landmarks without labels' },
+  { id: 'content-outside-landmarks', title: 'Content outside landmarks' },
+  { id: 'form-unlabeled', title: 'Unlabeled forms' }
+];
+
+// Elements whose content is never shown, so it can't be content outside a landmark
+const AUDIT_NON_CONTENT_ELEMENTS = ['head', 'script', 'style', 'noscript', 'template', 'link', 'meta', 'title'];
+
+// Elements that are content even without text
+const AUDIT_CONTENT_SELECTOR = 'img, svg, video, audio, canvas, iframe, frame, object, embed, input, select, textarea, button';
+
 /**
- * Navigate to the previous landmark on the page
+ * Check the page's heading and landmark structure
+ * @returns {{headings: Array<Element>, landmarks: Array<Element>, problems: Array<Object>}} - The
+ *   headings and landmarks checked, and the problems found, each {check, message, description,
+ *   element} (element is null for problems with the page as a whole)
  */
-function navigateToPreviousLandmark() {
+function auditPageStructure() {
+  const headings = getAllHeadings();
   const landmarks = getAllLandmarks();
+  const problems = [];
+  const add = (check, message, element, description) => {
+    problems.push({ check, message, element, description: description || '' });
+  };
 
-  if (landmarks.length === 0) {
-    return;
+  // One level 1 heading names the page
+  const h1s = headings.filter(heading => getHeadingLevel(heading) === 1);
+  if (h1s.length === 0) {
+    add('heading-h1', 'The page has no level 1 heading', null);
+  } else if (h1s.length > 1) {
+    h1s.forEach((heading, index) => {
+      add('heading-h1', `Level 1 heading ${index + 1} of ${h1s.length}; a page usually has one`, heading, describeHeading(heading));
+    });
   }
 
-  // Update the list if it changed
-  lastLandmarksList = landmarks;
+  // Levels may go down any number of steps, but only up one at a time
+  headings.forEach((heading, index) => {
+    const level = getHeadingLevel(heading);
+    const previousLevel = index > 0 ? getHeadingLevel(headings[index - 1]) : null;
+    if (previousLevel !== null && level > previousLevel + 1) {
+      const skipped = level === previousLevel + 2 ? `level ${previousLevel + 1}` : `levels ${previousLevel + 1} to ${level - 1}`;
+      add('heading-skipped-level', `Level ${level} heading follows level ${previousLevel}, skipping ${skipped}`, heading, describeHeading(heading));
+    }
+  });
+
+  headings.filter(heading => !getElementText(heading)).forEach(heading => {
+    add('heading-empty', `Level ${getHeadingLevel(heading)} heading has no text`, heading, describeHeading(heading));
+  });
+
+  // Landmarks that share a role need labels to tell them apart
+  const landmarksByRole = new Map();
+  landmarks.forEach(landmark => {
+    const role = getLandmarkRole(landmark);
+    landmarksByRole.set(role, [...(landmarksByRole.get(role) || []), landmark]);
+  });
+  landmarksByRole.forEach(group => {
+    if (group.length < 2) {
+      return;
+    }
+    group.filter(landmark => !getLandmarkLabel(landmark)).forEach(landmark => {
+      const roleName = getLandmarkRoleName(landmark).toLowerCase();
+      add('landmark-unlabeled-duplicate', `One of ${group.length} ${roleName} landmarks, with no label to tell it apart`, landmark,
+        `${describeLandmark(landmark)}, ${getAuditSnippet(landmark)}`);
+    });
+  });
 
-  // Move to previous landmark (wrap around if at the beginning)
-  if (currentLandmarkIndex <= 0) {
-    currentLandmarkIndex = landmarks.length - 1;
+  if (landmarks.length === 0) {
+    add('content-outside-landmarks', 'The page has no landmarks', null);
   } else {
-    currentLandmarkIndex = currentLandmarkIndex - 1;
+    findContentOutsideLandmarks(landmarks).forEach(({ element, text }) => {
+      add('content-outside-landmarks', 'Content outside any landmark', element, getAuditSnippet(element, text));
+    });
   }
 
-  const landmark = landmarks[currentLandmarkIndex];
+  // A form is only a landmark once it has a name (see getLandmarkRole)
+  querySelectorAllDeep('form, [role="form"]')
+    .filter(form => !form.closest('.easynav-dialog') && isRendered(form) && !getAccessibleName(form))
+    .forEach(form => {
+      add('form-unlabeled', 'Form has no label, so it is not a form landmark', form, getAuditSnippet(form));
+    });
 
-  // Focus the landmark
-  const role = getLandmarkRole(landmark);
-  const label = getLandmarkLabel(landmark);
-  const landmarkDesc = label ? `${role} "${label}"` : role;
-  makeElementFocusableAndFocus(landmark, `Navigate to previous landmark (Shift+L) - ${landmarkDesc}`);
+  if (DEBUG_FOCUS) {
+    console.log(`[EasyKeyNav] Audit: ${problems.length} problems in ${headings.length} headings and ${landmarks.length} landmarks`, problems);
+  }
+
+  return { headings, landmarks, problems };
 }
 
 /**
- * Add skip links for better keyboard navigation (WCAG 2.4.1)
+ * Find the outermost elements with content that isn't inside any landmark
+ * @param {Array<Element>} landmarks - The page's landmarks
+ * @returns {Array<{element: Element, text: string}>} - Elements holding stray content in document
+ *   order, with the stray text (an element beside landmarks only contributes its own text)
  */
-function addSkipLinks() {
-  // Don't add if already exists
-  if (document.getElementById('easynav-skip-links')) {
-    return;
-  }
-
-  skipLinksContainer = document.createElement('div');
-  skipLinksContainer.id = 'easynav-skip-links';
-  skipLinksContainer.setAttribute('role', 'navigation');
-  skipLinksContainer.setAttribute('aria-label', 'EasyKeyNav shortcuts');
+function findContentOutsideLandmarks(landmarks) {
+  const landmarkSet = new Set(landmarks);
+
+  // Elements around a landmark are searched further; anything else is either content or not
+  const containsLandmark = new Set();
+  landmarks.forEach(landmark => {
+    for (let node = getComposedParent(landmark); node; node = getComposedParent(node)) {
+      containsLandmark.add(node);
+    }
+  });
 
-  // Styles for skip links (visible on focus)
-  const style = document.createElement('style');
-  style.textContent = `
-    #easynav-skip-links {
-      position: fixed;
-      top: 0;
-      left: 0;
-      z-index: 999999;
+  const outside = [];
+  const visit = (element) => {
+    if (landmarkSet.has(element)) {
+      return;
     }
-    #easynav-skip-links a {
-      position: absolute;
-      left: -10000px;
-      top: 0;
-      width: 1px;
-      height: 1px;
-      overflow: hidden;
-      background: #1a73e8;
-      color: #fff;
-      padding: 8px 16px;
-      text-decoration: none;
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      font-size: 14px;
-      font-weight: 500;
-      border-radius: 0 0 4px 0;
+
+    if (!containsLandmark.has(element)) {
+      if (!isAuditIgnored(element) && hasAuditContent(element)) {
+        outside.push({ element, text: element.textContent });
+      }
+      return;
     }
-    #easynav-skip-links a:focus {
-      position: fixed;
-      left: 0;
-      width: auto;
-      height: auto;
-      overflow: visible;
-      outline: 3px solid #fff;
-      outline-offset: 2px;
+
+    // Text sitting directly beside landmarks
+    if (!element.shadowRoot && hasOwnText(element)) {
+      const ownText = Array.from(element.childNodes).filter(node => node.nodeType === Node.TEXT_NODE).map(node => node.textContent);
+      outside.push({ element, text: ownText.join(' ') });
     }
-  `;
+    getComposedChildren(element).forEach(visit);
+  };
 
-  skipLinksContainer.appendChild(style);
+  if (document.body) {
+    visit(document.body);
+  }
+  return outside;
+}
 
-  // Add skip link to main content
-  const skipToMain = document.createElement('a');
-  skipToMain.href = '#';
-  skipToMain.textContent = 'Skip to main content (m)';
-  skipToMain.addEventListener('click', (e) => {
-    e.preventDefault();
-    focusMainContent();
-  });
-  skipLinksContainer.appendChild(skipToMain);
+/**
+ * Check whether the audit should leave an element out: EasyKeyNav's own UI, hidden content,
+ * and dialogs, which sit outside landmarks by design
+ * @param {Element} element - The element
+ * @returns {boolean} - True to ignore it
+ */
+function isAuditIgnored(element) {
+  return AUDIT_NON_CONTENT_ELEMENTS.includes(element.localName) ||
+         element.id.startsWith('easynav-') ||
+         element.matches('.easynav-dialog, dialog, [role="dialog"], [role="alertdialog"], [aria-hidden="true"]') ||
+         !isRendered(element);
+}
 
-  // Insert at the beginning of body
-  if (document.body) {
-    document.body.insertBefore(skipLinksContainer, document.body.firstChild);
+/**
+ * Check whether an element has text of its own, not counting its child elements' text
+ * @param {Element} element - The element
+ * @returns {boolean} - True if a child text node has more than whitespace
+ */
+function hasOwnText(element) {
+  return Array.from(element.childNodes).some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+}
+
+/**
+ * Check whether an element shows any content: text, images, media or form controls
+ * Skip links (links to a place on the same page) don't count; they belong before the landmarks.
+ * @param {Element} element - The element
+ * @returns {boolean} - True if it has content
+ */
+function hasAuditContent(element) {
+  if (element.matches('a[href^="#"]')) {
+    return false;
+  }
+  if (element.matches(AUDIT_CONTENT_SELECTOR) || (!element.shadowRoot && hasOwnText(element))) {
+    return true;
   }
+  return getComposedChildren(element).some(child => !isAuditIgnored(child) && hasAuditContent(child));
 }
 
 /**
- * Remove skip links when extension is disabled
+ * Get a short piece of an element's text to identify it in the audit report
+ * @param {Element} element - The element
+ * @param {string} [content] - The text to quote, if not all of the element's text
+ * @returns {string} - Up to 60 characters of the text in quotes, or the element's tag if there is none
  */
-function removeSkipLinks() {
-  if (skipLinksContainer && skipLinksContainer.parentNode) {
-    skipLinksContainer.parentNode.removeChild(skipLinksContainer);
-    skipLinksContainer = null;
+function getAuditSnippet(element, content = element.textContent) {
+  const text = (content || '').replace(/\s+/g, ' ').trim();
+  if (!text) {
+    return `<${element.localName}>`;
   }
+  return text.length > 60 ? `"${text.slice(0, 60)}…"` : `"${text}"`;
 }
 
 /**
- * Toggle the keyboard shortcuts help dialog
+ * Get a CSS selector for an element, for the audit's JSON export
+ * @param {Element} element - The element
+ * @returns {string} - A selector within the element's document or shadow root, e.g.
+ *   "#content > div:nth-of-type(2) > h4:nth-of-type(1)"
  */
-function toggleHelpDialog() {
-  if (helpDialogOpen) {
-    closeHelpDialog();
-  } else {
-    openHelpDialog();
+function getElementSelector(element) {
+  const { anchorId, steps } = getElementPath(element);
+  const parts = steps.map(step => `${step.tag}:nth-of-type(${step.index + 1})`);
+
+  if (anchorId) {
+    parts.unshift(/^[A-Za-z][\w-]*$/.test(anchorId) ? `#${anchorId}` : `[id="${anchorId.replace(/["\\]/g, '\\$&')}"]`);
+  } else if (element.getRootNode() === element.ownerDocument) {
+    parts.unshift(':root');
   }
+  return parts.join(' > ');
 }
 
 /**
- * Open the keyboard shortcuts help dialog
+ * Describe an element for the audit's JSON export
+ * @param {Element} element - The element
+ * @returns {Object} - Its selector, where it is (page, frame or shadow root) and its start tag
  */
-function openHelpDialog() {
-  if (helpDialogOpen) {
+function describeAuditElement(element) {
+  const root = element.getRootNode();
+  const startTag = element.cloneNode(false).outerHTML;
+  return {
+    selector: getElementSelector(element),
+    root: isShadowRoot(root) ? 'shadow' : element.ownerDocument === document ? 'page' : 'frame',
+    html: startTag.slice(0, startTag.indexOf('>') + 1)
+  };
+}
+
+/**
+ * Build the audit report as plain data, for the JSON export
+ * @returns {Object} - The page, its headings and landmarks, and the problems found
+ */
+function getAuditExport() {
+  return {
+    tool: 'EasyKeyNav page structure audit',
+    url: window.location.href,
+    title: document.title,
+    date: auditReport.date,
+    summary: {
+      headings: auditReport.headings.length,
+      landmarks: auditReport.landmarks.length,
+      problems: auditReport.problems.length
+    },
+    headings: auditReport.headings.map(heading => ({
+      level: getHeadingLevel(heading),
+      text: getElementText(heading),
+      ...describeAuditElement(heading)
+    })),
+    landmarks: auditReport.landmarks.map(landmark => ({
+      role: getLandmarkRole(landmark),
+      label: getLandmarkLabel(landmark),
+      ...describeAuditElement(landmark)
+    })),
+    problems: auditReport.problems.map(problem => ({
+      check: problem.check,
+      message: problem.message,
+      description: problem.description,
+      element: problem.element ? describeAuditElement(problem.element) : null
+    }))
+  };
+}
+
+/**
+ * Audit the page structure and open the report
+ */
+function openAuditDialog() {
+  if (auditDialogOpen) {
     return;
   }
 
+  // Only one EasyKeyNav dialog is open at a time
+  closeOtherEasyNavDialogs(closeAuditDialog);
+
   // Store the currently focused element to restore later
-  lastFocusedElement = document.activeElement;
+  lastFocusedElement = getDeepActiveElement();
 
-  // Create the dialog element
-  helpDialogElement = document.createElement('div');
-  helpDialogElement.id = 'easynav-help-dialog';
-  helpDialogElement.setAttribute('role', 'dialog');
-  helpDialogElement.setAttribute('aria-modal', 'true');
-  helpDialogElement.setAttribute('aria-labelledby', 'easynav-help-title');
-  helpDialogElement.setAttribute('aria-describedby', 'easynav-help-title easynav-help-intro');
+  auditReport = { ...auditPageStructure(), date: new Date().toISOString() };
+  const { headings, landmarks, problems } = auditReport;
 
-  const modifierKey = isMac ? 'Option' : 'Alt';
-  const helpKey = isMac ? 'Cmd' : 'Ctrl';
+  auditDialogElement = document.createElement('div');
+  auditDialogElement.id = 'easynav-audit-dialog';
+  auditDialogElement.className = 'easynav-dialog';
+  auditDialogElement.setAttribute('role', 'dialog');
+  auditDialogElement.setAttribute('aria-modal', 'true');
+  auditDialogElement.setAttribute('aria-labelledby', 'easynav-audit-title');
+  auditDialogElement.setAttribute('aria-describedby', 'easynav-audit-summary');
 
-  // Build the dialog content
-  helpDialogElement.innerHTML = `
+  auditDialogElement.innerHTML = `
     <style>
-      #easynav-help-dialog {
+      #easynav-audit-dialog {
         position: fixed;
         top: 0;
         left: 0;
@@ -928,48 +6117,43 @@ function openHelpDialog() {
         z-index: 2147483647;
         background: rgba(0, 0, 0, 0.75);
         display: flex;
-        align-items: center;
+        align-items: flex-start;
         justify-content: center;
-        padding: 1rem;
+        padding: 5vh 1rem 1rem 1rem;
       }
 
-      #easynav-help-content {
+      #easynav-audit-content {
+        position: relative;
         background: #ffffff;
         color: #1a1a1a;
         border-radius: 8px;
         box-shadow: 0 4px 24px rgba(0, 0, 0, 0.3);
-        max-width: 600px;
-        max-height: 80vh;
-        overflow-y: auto;
-        padding: 2rem;
+        width: 680px;
+        max-width: 100%;
+        max-height: 85vh;
+        display: flex;
+        flex-direction: column;
+        padding: 1.25rem;
         font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
         font-size: 14px;
         line-height: 1.5;
       }
 
-      #easynav-help-title {
-        margin: 0 0 1rem 0;
-        font-size: 1.5rem;
+      #easynav-audit-title {
+        margin: 0 2.5rem 0.25rem 0;
+        font-size: 1.25rem;
         font-weight: 600;
         color: #1a1a1a;
       }
 
-      .easynav-visually-hidden {
-        position: absolute;
-        width: 1px;
-        height: 1px;
-        padding: 0;
-        margin: -1px;
-        overflow: hidden;
-        clip: rect(0, 0, 0, 0);
-        white-space: nowrap;
-        border: 0;
+      #easynav-audit-summary {
+        margin: 0 0 0.75rem 0;
       }
 
-      #easynav-help-close {
+      #easynav-audit-close {
         position: absolute;
-        top: 1rem;
-        right: 1rem;
+        top: 0.75rem;
+        right: 0.75rem;
         background: transparent;
         border: none;
         font-size: 1.5rem;
@@ -985,407 +6169,625 @@ function openHelpDialog() {
         border-radius: 4px;
       }
 
-      #easynav-help-close:hover {
+      #easynav-audit-close:hover {
         background: #f0f0f0;
         color: #1a1a1a;
       }
 
-      #easynav-help-close:focus-visible {
-        outline: 3px solid #1a73e8;
-        outline-offset: 2px;
-      }
-
-      .easynav-help-section {
-        margin-bottom: 1.5rem;
-      }
-
-      .easynav-help-section:last-child {
-        margin-bottom: 0;
-      }
-
-      .easynav-help-section h2 {
-        font-size: 1.125rem;
-        font-weight: 600;
-        margin: 0 0 0.75rem 0;
-        color: #1a1a1a;
+      .easynav-audit-actions {
+        display: flex;
+        gap: 0.5rem;
+        margin-bottom: 0.75rem;
       }
 
-      .easynav-help-shortcut {
-        display: flex;
-        justify-content: space-between;
-        align-items: baseline;
-        padding: 0.5rem 0;
-        border-bottom: 1px solid #e0e0e0;
+      .easynav-audit-actions button {
+        font: inherit;
+        color: inherit;
+        background: transparent;
+        border: 1px solid #767676;
+        border-radius: 4px;
+        padding: 0.25rem 0.75rem;
+        cursor: pointer;
       }
 
-      .easynav-help-shortcut:last-child {
-        border-bottom: none;
+      .easynav-audit-actions button:hover {
+        background: #f0f0f0;
       }
 
-      .easynav-help-description {
-        color: #1a1a1a;
+      #easynav-audit-sections {
+        overflow-y: auto;
+        border-top: 1px solid #e0e0e0;
       }
 
-      .easynav-help-keys {
-        font-family: 'Courier New', Courier, monospace;
-        background: #f5f5f5;
-        color: #1a1a1a;
-        padding: 0.25rem 0.5rem;
-        border-radius: 4px;
-        font-size: 0.875rem;
+      .easynav-audit-section h2 {
+        margin: 0.75rem 0 0.25rem 0;
+        font-size: 1rem;
         font-weight: 600;
-        white-space: nowrap;
-        margin-left: 1rem;
       }
 
-      .easynav-debug-toggle {
-        display: flex;
-        justify-content: space-between;
-        align-items: center;
-        padding: 0.75rem 0;
-        border-top: 2px solid #e0e0e0;
-        margin-top: 1rem;
+      .easynav-audit-section ul {
+        list-style: none;
+        margin: 0;
+        padding: 0;
       }
 
-      .easynav-debug-label {
-        font-weight: 500;
-        color: #1a1a1a;
+      .easynav-audit-section p {
+        margin: 0;
+        color: #4a4a4a;
       }
 
-      .easynav-toggle-button {
-        position: relative;
-        width: 48px;
-        height: 28px;
-        background: #ccc;
+      .easynav-audit-item {
+        display: block;
+        width: 100%;
+        font: inherit;
+        color: inherit;
+        text-align: left;
+        background: transparent;
         border: none;
-        border-radius: 14px;
+        border-bottom: 1px solid #e0e0e0;
+        padding: 0.375rem 0.5rem;
         cursor: pointer;
-        transition: background-color 0.3s ease;
-        padding: 0;
       }
 
-      .easynav-toggle-button:focus-visible {
-        outline: 3px solid #1a73e8;
-        outline-offset: 2px;
+      .easynav-audit-item:hover {
+        background: #f0f0f0;
       }
 
-      .easynav-toggle-button[aria-pressed="true"] {
-        background: #2E7D32;
-        position: relative;
+      .easynav-audit-message {
+        display: block;
+        color: #1a56b8;
+        text-decoration: underline;
       }
 
-      .easynav-toggle-button[aria-pressed="true"]::before {
-        content: '✓';
-        position: absolute;
-        left: 6px;
-        top: 50%;
-        transform: translateY(-50%);
-        color: #fff;
-        font-size: 16px;
-        font-weight: bold;
-        line-height: 1;
+      .easynav-audit-description {
+        display: block;
+        color: #4a4a4a;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
       }
 
-      .easynav-toggle-slider {
-        position: absolute;
-        top: 2px;
-        left: 2px;
-        width: 24px;
-        height: 24px;
-        background: #fff;
-        border-radius: 12px;
-        transition: transform 0.3s ease;
-        box-shadow: 0 2px 4px rgba(0, 0, 0, 0.2);
+      #easynav-audit-dialog button:focus-visible {
+        outline: 3px solid #1a73e8;
+        outline-offset: -3px;
       }
 
-      .easynav-toggle-button[aria-pressed="true"] .easynav-toggle-slider {
-        transform: translateX(20px);
+      #easynav-audit-status {
+        margin: 0.5rem 0 0 0;
+        color: #4a4a4a;
       }
 
       @media (prefers-color-scheme: dark) {
-        #easynav-help-content {
+        #easynav-audit-content {
           background: #202124;
           color: #e8eaed;
         }
 
-        #easynav-help-title,
-        .easynav-help-section h2,
-        .easynav-help-description {
+        #easynav-audit-title {
           color: #e8eaed;
         }
 
-        #easynav-help-close {
+        #easynav-audit-close,
+        .easynav-audit-section p,
+        .easynav-audit-description,
+        #easynav-audit-status {
           color: #bdc1c6;
         }
 
-        #easynav-help-close:hover {
-          background: #3c4043;
-          color: #e8eaed;
-        }
-
-        .easynav-help-shortcut {
-          border-bottom-color: #3c4043;
-        }
-
-        .easynav-help-keys {
+        #easynav-audit-close:hover,
+        .easynav-audit-actions button:hover,
+        .easynav-audit-item:hover {
           background: #3c4043;
           color: #e8eaed;
         }
 
-        .easynav-debug-toggle {
-          border-top-color: #3c4043;
+        .easynav-audit-actions button {
+          border-color: #9aa0a6;
         }
 
-        .easynav-debug-label {
-          color: #e8eaed;
+        #easynav-audit-sections,
+        .easynav-audit-item {
+          border-color: #3c4043;
         }
 
-        .easynav-toggle-button {
-          background: #5f6368;
+        .easynav-audit-message {
+          color: #8ab4f8;
         }
 
-        .easynav-toggle-button[aria-pressed="true"] {
-          background: #4CAF50;
+        #easynav-audit-dialog button:focus-visible {
+          outline-color: #8ab4f8;
         }
       }
 
-      @media (prefers-reduced-motion: reduce) {
-        #easynav-help-dialog {
-          animation: none;
+      @media (forced-colors: active) {
+        .easynav-audit-message {
+          color: LinkText;
         }
       }
     </style>
-    <div id="easynav-help-content">
-      <button id="easynav-help-close" type="button" aria-label="Close help dialog">×</button>
-      <h1 id="easynav-help-title">Keyboard Shortcuts</h1>
-      <p id="easynav-help-intro" class="easynav-visually-hidden">
-        Available keyboard shortcuts for navigating the page. Press Escape to close this dialog.
-      </p>
-
-      <div class="easynav-help-section">
-        <h2>Heading Navigation</h2>
-        <div class="easynav-help-shortcut">
-          <span class="easynav-help-description">Navigate to next heading</span>
-          <span class="easynav-help-keys">h</span>
-        </div>
-        <div class="easynav-help-shortcut">
-          <span class="easynav-help-description">Navigate to previous heading</span>
-          <span class="easynav-help-keys">Shift+H</span>
-        </div>
-        <div class="easynav-help-shortcut">
-          <span class="easynav-help-description">Go to main heading (h1)</span>
-          <span class="easynav-help-keys">1</span>
-        </div>
-      </div>
-
-      <div class="easynav-help-section">
-        <h2>Landmark Navigation</h2>
-        <div class="easynav-help-shortcut">
-          <span class="easynav-help-description">Navigate to next landmark</span>
-          <span class="easynav-help-keys">l</span>
-        </div>
-        <div class="easynav-help-shortcut">
-          <span class="easynav-help-description">Navigate to previous landmark</span>
-          <span class="easynav-help-keys">Shift+L</span>
-        </div>
-        <div class="easynav-help-shortcut">
-          <span class="easynav-help-description">Go to main content</span>
-          <span class="easynav-help-keys">m</span>
-        </div>
-        <div class="easynav-help-shortcut">
-          <span class="easynav-help-description">Go to navigation</span>
-          <span class="easynav-help-keys">n</span>
-        </div>
-      </div>
-
-      <div class="easynav-help-section">
-        <h2>Quick Tab Navigation</h2>
-        <div class="easynav-help-shortcut">
-          <span class="easynav-help-description">Tab forward 1-9 times</span>
-          <span class="easynav-help-keys">${modifierKey}+1-9</span>
-        </div>
-        <div class="easynav-help-shortcut">
-          <span class="easynav-help-description">Tab forward 10 times</span>
-          <span class="easynav-help-keys">${modifierKey}+0</span>
-        </div>
-        <div class="easynav-help-shortcut">
-          <span class="easynav-help-description">Tab backward 1-9 times</span>
-          <span class="easynav-help-keys">${modifierKey}+Shift+1-9</span>
-        </div>
-        <div class="easynav-help-shortcut">
-          <span class="easynav-help-description">Tab backward 10 times</span>
-          <span class="easynav-help-keys">${modifierKey}+Shift+0</span>
-        </div>
-      </div>
-
-      <div class="easynav-help-section">
-        <h2>Help</h2>
-        <div class="easynav-help-shortcut">
-          <span class="easynav-help-description">Toggle this help dialog</span>
-          <span class="easynav-help-keys">${helpKey}+/</span>
-        </div>
-        <div class="easynav-help-shortcut">
-          <span class="easynav-help-description">Close this dialog</span>
-          <span class="easynav-help-keys">Escape</span>
-        </div>
-        <div class="easynav-debug-toggle">
-          <span class="easynav-debug-label">Debug mode on</span>
-          <button
-            id="easynav-debug-toggle-btn"
-            class="easynav-toggle-button"
-            type="button"
-            role="switch"
-            aria-pressed="${DEBUG_FOCUS ? 'true' : 'false'}"
-            aria-label="Debug mode on">
-            <span class="easynav-toggle-slider"></span>
-          </button>
-        </div>
+    <div id="easynav-audit-content">
+      <button id="easynav-audit-close" type="button" aria-label="Close audit">×</button>
+      <h1 id="easynav-audit-title">Page structure audit</h1>
+      <p id="easynav-audit-summary"></p>
+      <div class="easynav-audit-actions">
+        <button id="easynav-audit-copy" type="button">Copy JSON</button>
+        <button id="easynav-audit-download" type="button">Download JSON</button>
       </div>
+      <div id="easynav-audit-sections"></div>
+      <p id="easynav-audit-status" role="status" aria-live="polite"></p>
     </div>
   `;
 
-  // Append to body
-  document.body.appendChild(helpDialogElement);
+  const checked = `${headings.length} ${headings.length === 1 ? 'heading' : 'headings'} and ${landmarks.length} ${landmarks.length === 1 ? 'landmark' : 'landmarks'}`;
+  auditDialogElement.querySelector('#easynav-audit-summary').textContent = problems.length === 0
+    ? `No problems found in ${checked}.`
+    : `${problems.length} ${problems.length === 1 ? 'problem' : 'problems'} found in ${checked}.${problems.some(problem => problem.element) ? ' Choose a problem to go to its element.' : ''}`;
 
-  // Set up close button
-  const closeButton = helpDialogElement.querySelector('#easynav-help-close');
-  closeButton.addEventListener('click', closeHelpDialog);
+  const sections = auditDialogElement.querySelector('#easynav-audit-sections');
+  AUDIT_CHECKS.forEach(check => {
+    const checkProblems = problems.filter(problem => problem.check === check.id);
 
-  // Set up debug toggle button
-  const debugToggleBtn = helpDialogElement.querySelector('#easynav-debug-toggle-btn');
-  debugToggleBtn.addEventListener('click', function() {
-    DEBUG_FOCUS = !DEBUG_FOCUS;
-    const isPressed = DEBUG_FOCUS;
-    this.setAttribute('aria-pressed', isPressed.toString());
-    console.log(`[EasyKeyNav] Debug mode ${isPressed ? 'enabled' : 'disabled'}`);
+    const section = document.createElement('section');
+    section.className = 'easynav-audit-section';
+    section.setAttribute('aria-labelledby', `easynav-audit-${check.id}`);
 
-    // Persist debug mode to storage
-    chrome.storage.sync.set({ debugMode: DEBUG_FOCUS });
+    const heading = document.createElement('h2');
+    heading.id = `easynav-audit-${check.id}`;
+    heading.textContent = checkProblems.length ? `${check.title} (${checkProblems.length})` : check.title;
+    section.appendChild(heading);
 
-    // If debug mode is turned off, remove scale from currently scaled element
-    if (!DEBUG_FOCUS && currentlyScaledElement) {
-      currentlyScaledElement.style.transform = '';
-      currentlyScaledElement.style.transition = '';
-      currentlyScaledElement = null;
+    if (checkProblems.length === 0) {
+      const none = document.createElement('p');
+      none.textContent = 'No problems found';
+      section.appendChild(none);
+    } else {
+      const list = document.createElement('ul');
+      checkProblems.forEach(problem => {
+        const item = document.createElement('li');
+        if (problem.element) {
+          const button = document.createElement('button');
+          button.type = 'button';
+          button.className = 'easynav-audit-item';
+          button.dataset.index = problems.indexOf(problem);
+          const message = document.createElement('span');
+          message.className = 'easynav-audit-message';
+          message.textContent = problem.message;
+          const description = document.createElement('span');
+          description.className = 'easynav-audit-description';
+          description.textContent = problem.description;
+          // The comma keeps the message and description apart in the button's accessible name
+          button.append(message, ', ', description);
+          item.appendChild(button);
+        } else {
+          const message = document.createElement('p');
+          message.textContent = problem.message;
+          item.appendChild(message);
+        }
+        list.appendChild(item);
+      });
+      section.appendChild(list);
     }
+
+    sections.appendChild(section);
   });
 
+  document.body.appendChild(auditDialogElement);
+
+  auditDialogElement.querySelector('#easynav-audit-close').addEventListener('click', closeAuditDialog);
+  auditDialogElement.querySelector('#easynav-audit-copy').addEventListener('click', copyAuditReport);
+  auditDialogElement.querySelector('#easynav-audit-download').addEventListener('click', downloadAuditReport);
+  sections.addEventListener('click', handleAuditItemClick);
+
   // Set up focus trap
-  setupFocusTrap();
+  setupFocusTrap(auditDialogElement);
 
   // Close dialog when focus leaves it
-  setupFocusOutHandler();
+  setupFocusOutHandler(auditDialogElement, closeAuditDialog);
 
-  // Focus the close button
-  closeButton.focus();
-  logFocusChange('Open help dialog (Ctrl+/ or Cmd+/)');
+  auditDialogOpen = true;
 
-  helpDialogOpen = true;
+  // Start on the first problem, or on the export buttons if there are none
+  const firstItem = auditDialogElement.querySelector('.easynav-audit-item') || auditDialogElement.querySelector('#easynav-audit-copy');
+  firstItem.focus();
+  logFocusChange('Open audit report');
 }
 
 /**
- * Close the keyboard shortcuts help dialog
+ * Go to the element of the problem whose button was activated
+ * @param {MouseEvent} event - The click event (Enter and Space on a button also click it)
  */
-function closeHelpDialog() {
-  if (!helpDialogOpen || !helpDialogElement) {
+function handleAuditItemClick(event) {
+  const button = event.target.closest('.easynav-audit-item');
+  if (!button) {
     return;
   }
 
-  // Remove the dialog from the DOM
-  if (helpDialogElement.parentNode) {
-    helpDialogElement.parentNode.removeChild(helpDialogElement);
+  const problem = auditReport.problems[parseInt(button.dataset.index)];
+  if (!problem.element.isConnected) {
+    setAuditStatus('That element is no longer on the page; run the audit again');
+    return;
   }
 
-  helpDialogElement = null;
-  helpDialogOpen = false;
+  closeAuditDialog({ restoreFocus: false });
+  makeElementFocusableAndFocus(problem.element, `Audit - ${problem.message}`);
+  announce(problem.description ? `${problem.message}, ${problem.description}` : problem.message);
+}
 
-  // Restore focus to the previously focused element
-  if (lastFocusedElement && document.contains(lastFocusedElement)) {
-    lastFocusedElement.focus();
-    logFocusChange('Close help dialog - restore previous focus');
-  } else {
-    // Fallback to skip links or body
-    const skipLinks = document.getElementById('easynav-skip-links');
-    if (skipLinks) {
-      const skipLink = skipLinks.querySelector('a');
-      if (skipLink) {
-        skipLink.focus();
-        logFocusChange('Close help dialog - focus fallback to skip link');
-      }
-    } else {
-      document.body.focus();
-      logFocusChange('Close help dialog - focus fallback to body');
-    }
+/**
+ * Copy the audit report to the clipboard as JSON
+ */
+function copyAuditReport() {
+  // The clipboard API only exists on secure (https) pages
+  if (!navigator.clipboard) {
+    console.log('[EasyKeyNav] Could not copy the audit report: the clipboard is not available on this page');
+    setAuditStatus('Could not copy the report; use Download JSON instead');
+    return;
   }
 
-  lastFocusedElement = null;
+  navigator.clipboard.writeText(JSON.stringify(getAuditExport(), null, 2)).then(() => {
+    setAuditStatus('Report copied as JSON');
+  }, (error) => {
+    console.log('[EasyKeyNav] Could not copy the audit report:', error);
+    setAuditStatus('Could not copy the report; use Download JSON instead');
+  });
+}
+
+/**
+ * Download the audit report as a JSON file
+ */
+function downloadAuditReport() {
+  const blob = new Blob([JSON.stringify(getAuditExport(), null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `easykeynav-audit-${window.location.hostname || 'page'}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+  setAuditStatus('Report downloaded as JSON');
+}
+
+/**
+ * Show a message in the audit report's status region, which screen readers announce
+ * @param {string} message - The message
+ */
+function setAuditStatus(message) {
+  if (auditDialogElement) {
+    auditDialogElement.querySelector('#easynav-audit-status').textContent = message;
+  }
 }
 
 /**
- * Set up focus trap for the help dialog
+ * Close the audit report
+ * @param {{restoreFocus: boolean}} [options] - Whether to move focus back to where it was before
+ *   the report opened
  */
-function setupFocusTrap() {
-  if (!helpDialogElement) {
+function closeAuditDialog({ restoreFocus = true } = {}) {
+  if (!auditDialogOpen || !auditDialogElement) {
     return;
   }
 
-  const focusableElements = helpDialogElement.querySelectorAll(
-    'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-  );
+  if (auditDialogElement.parentNode) {
+    auditDialogElement.parentNode.removeChild(auditDialogElement);
+  }
 
-  if (focusableElements.length === 0) {
-    return;
+  auditDialogElement = null;
+  auditReport = null;
+  auditDialogOpen = false;
+
+  if (restoreFocus) {
+    restoreFocusAfterDialog('Close audit report');
+  } else {
+    lastFocusedElement = null;
   }
+}
 
-  const firstFocusable = focusableElements[0];
-  const lastFocusable = focusableElements[focusableElements.length - 1];
+// Letters used for hint labels, home row first so the most common labels are easiest to type
+const HINT_ALPHABET = 'asdfghjklqwertyuiopzxcvbnm';
 
-  // Handle Tab key to trap focus
-  helpDialogElement.addEventListener('keydown', function(event) {
-    if (event.key !== 'Tab') {
-      return;
+// Elements that can be clicked or focused in hint mode
+const HINTABLE_SELECTOR = [
+  'a[href]', 'area[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea', 'summary',
+  '[tabindex]:not([tabindex="-1"])', '[contenteditable=""]', '[contenteditable="true"]',
+  '[role="button"]', '[role="link"]', '[role="checkbox"]', '[role="radio"]', '[role="switch"]',
+  '[role="tab"]', '[role="menuitem"]', '[role="option"]', '[role="treeitem"]'
+].join(', ');
+
+/**
+ * Get the position of an element relative to the top-level viewport
+ * (getBoundingClientRect is relative to the element's own frame)
+ * @param {Element} element - The element
+ * @returns {{top: number, left: number, width: number, height: number}} - The element's box
+ */
+function getViewportRect(element) {
+  const rect = element.getBoundingClientRect();
+  let top = rect.top;
+  let left = rect.left;
+
+  // Add the offset of each same-origin frame the element is inside
+  for (let view = element.ownerDocument.defaultView; view && view.frameElement; view = view.frameElement.ownerDocument.defaultView) {
+    const frameRect = view.frameElement.getBoundingClientRect();
+    top += frameRect.top + view.frameElement.clientTop;
+    left += frameRect.left + view.frameElement.clientLeft;
+  }
+
+  return { top, left, width: rect.width, height: rect.height };
+}
+
+/**
+ * Get all visible, enabled elements in the viewport that can be activated in hint mode
+ * @returns {Array<Element>} - Hintable elements in document order
+ */
+function getHintableElements() {
+  const viewportWidth = window.innerWidth;
+  const viewportHeight = window.innerHeight;
+
+  return querySelectorAllDeep(HINTABLE_SELECTOR).filter(element => {
+    if (element.closest('.easynav-dialog, #easynav-skip-links')) {
+      return false;
     }
 
-    // Shift+Tab on first element: go to last
-    if (event.shiftKey && document.activeElement === firstFocusable) {
-      event.preventDefault();
-      lastFocusable.focus();
-      return;
+    if (element.matches(':disabled') || element.getAttribute('aria-disabled') === 'true') {
+      return false;
     }
 
-    // Tab on last element: go to first
-    if (!event.shiftKey && document.activeElement === lastFocusable) {
-      event.preventDefault();
-      firstFocusable.focus();
-      return;
+    const rect = getViewportRect(element);
+    if (rect.width === 0 || rect.height === 0) {
+      return false;
+    }
+
+    // Only elements at least partly inside the viewport get a hint
+    if (rect.top >= viewportHeight || rect.left >= viewportWidth || rect.top + rect.height <= 0 || rect.left + rect.width <= 0) {
+      return false;
     }
+
+    const style = window.getComputedStyle(element);
+    return style.visibility !== 'hidden' && !closestComposed(element, '[aria-hidden="true"]');
   });
 }
 
 /**
- * Set up focus out handler to close dialog when focus leaves
+ * Generate hint labels that all have the same length, so no label is a prefix of another
+ * @param {number} count - Number of labels needed
+ * @returns {Array<string>} - Labels such as "a", "s", ... or "aa", "as", ...
+ */
+function generateHintLabels(count) {
+  let length = 1;
+  while (Math.pow(HINT_ALPHABET.length, length) < count) {
+    length++;
+  }
+
+  const labels = [];
+  for (let i = 0; i < count; i++) {
+    let label = '';
+    let value = i;
+    for (let position = 0; position < length; position++) {
+      label = HINT_ALPHABET[value % HINT_ALPHABET.length] + label;
+      value = Math.floor(value / HINT_ALPHABET.length);
+    }
+    labels.push(label);
+  }
+
+  return labels;
+}
+
+/**
+ * Show letter hints over every clickable element in the viewport
  */
-function setupFocusOutHandler() {
-  if (!helpDialogElement) {
+function enterHintMode() {
+  if (hintModeActive) {
     return;
   }
 
-  // Use a small delay to check if focus has moved outside the dialog
-  // This prevents the dialog from closing during internal focus changes
-  let focusCheckTimeout;
+  const elements = getHintableElements();
+  if (elements.length === 0) {
+    announce('No clickable elements in view', 'assertive');
+    return;
+  }
 
-  helpDialogElement.addEventListener('focusout', function() {
-    // Clear any pending timeout
-    clearTimeout(focusCheckTimeout);
+  const labels = generateHintLabels(elements.length);
 
-    // Wait a bit to see where focus goes
-    focusCheckTimeout = setTimeout(() => {
-      // Check if the newly focused element is outside the dialog
-      const isInsideDialog = helpDialogElement && helpDialogElement.contains(document.activeElement);
+  hintOverlayElement = document.createElement('div');
+  hintOverlayElement.id = 'easynav-hints';
+  // The hints are a visual aid; screen reader users get the announcement below instead
+  hintOverlayElement.setAttribute('aria-hidden', 'true');
 
-      if (!isInsideDialog && helpDialogOpen) {
-        closeHelpDialog();
+  const style = document.createElement('style');
+  style.textContent = `
+    #easynav-hints {
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 0;
+      height: 0;
+      z-index: 2147483646;
+    }
+    .easynav-hint {
+      position: fixed;
+      background: #ffd54f;
+      color: #1a1a1a;
+      border: 2px solid #1a1a1a;
+      border-radius: 4px;
+      padding: 0 0.25rem;
+      font-family: 'Courier New', Courier, monospace;
+      font-size: 14px;
+      font-weight: 700;
+      line-height: 1.4;
+      text-transform: uppercase;
+      box-shadow: 0 1px 4px rgba(0, 0, 0, 0.4);
+      pointer-events: none;
+      animation: easynav-hint-in 0.15s ease-out;
+    }
+    .easynav-hint-typed {
+      text-decoration: underline;
+      text-decoration-thickness: 2px;
+    }
+    @keyframes easynav-hint-in {
+      from { transform: scale(0.8); opacity: 0; }
+      to { transform: scale(1); opacity: 1; }
+    }
+    @media (prefers-reduced-motion: reduce) {
+      .easynav-hint {
+        animation: none;
       }
-    }, 10);
+    }
+    @media (forced-colors: active) {
+      .easynav-hint {
+        background: Canvas;
+        color: CanvasText;
+        border-color: CanvasText;
+      }
+    }
+  `;
+  hintOverlayElement.appendChild(style);
+
+  hintTargets = elements.map((element, index) => {
+    const rect = getViewportRect(element);
+    const marker = document.createElement('div');
+    marker.className = 'easynav-hint';
+    marker.style.top = `${Math.max(rect.top, 0)}px`;
+    marker.style.left = `${Math.max(rect.left, 0)}px`;
+    marker.textContent = labels[index];
+    hintOverlayElement.appendChild(marker);
+    return { element, label: labels[index], marker };
+  });
+
+  document.body.appendChild(hintOverlayElement);
+  hintModeActive = true;
+  hintTypedText = '';
+
+  // Any scroll, resize or click makes the hint positions stale
+  window.addEventListener('scroll', exitHintMode, { capture: true, once: true });
+  window.addEventListener('resize', exitHintMode, { once: true });
+  document.addEventListener('mousedown', exitHintMode, { capture: true, once: true });
+
+  announce(`Hint mode, ${elements.length} ${elements.length === 1 ? 'element' : 'elements'}. Type a hint to activate it, add Shift to open in a new tab or ${isMac ? 'Option' : 'Alt'} to focus only. Escape to cancel.`);
+}
+
+/**
+ * Remove the hint overlay
+ */
+function exitHintMode() {
+  if (!hintModeActive) {
+    return;
+  }
+
+  window.removeEventListener('scroll', exitHintMode, { capture: true });
+  window.removeEventListener('resize', exitHintMode);
+  document.removeEventListener('mousedown', exitHintMode, { capture: true });
+
+  if (hintOverlayElement && hintOverlayElement.parentNode) {
+    hintOverlayElement.parentNode.removeChild(hintOverlayElement);
+  }
+
+  hintOverlayElement = null;
+  hintTargets = [];
+  hintTypedText = '';
+  hintModeActive = false;
+}
+
+/**
+ * Handle a key press while hint mode is active
+ * Letters narrow down the hints, Backspace undoes a letter, Escape cancels.
+ * Shift while typing the last letter opens links in a new tab; Alt (Option) only focuses.
+ * @param {KeyboardEvent} event - The keyboard event
+ */
+function handleHintModeKey(event) {
+  // Let modifier keys on their own through so Shift/Alt can be held while typing
+  if (['Shift', 'Alt', 'Control', 'Meta', 'CapsLock'].includes(event.key)) {
+    return;
+  }
+
+  event.preventDefault();
+  event.stopPropagation();
+
+  if (event.key === 'Escape') {
+    exitHintMode();
+    announce('Hint mode cancelled');
+    return;
+  }
+
+  if (event.key === 'Backspace') {
+    hintTypedText = hintTypedText.slice(0, -1);
+    updateHintMarkers();
+    return;
+  }
+
+  // Read the letter from event.code so Shift and Option don't change it
+  const letterMatch = event.code.match(/^Key([A-Z])$/);
+  if (!letterMatch || event.ctrlKey || event.metaKey) {
+    return;
+  }
+
+  const typed = hintTypedText + letterMatch[1].toLowerCase();
+  const matches = hintTargets.filter(target => target.label.startsWith(typed));
+
+  if (matches.length === 0) {
+    // Ignore letters that don't match any hint
+    return;
+  }
+
+  hintTypedText = typed;
+
+  if (matches.length === 1 && matches[0].label === typed) {
+    const target = matches[0];
+    exitHintMode();
+    activateHintTarget(target.element, { newTab: event.shiftKey, focusOnly: event.altKey });
+    return;
+  }
+
+  updateHintMarkers();
+}
+
+/**
+ * Show only the hints that match the letters typed so far, underlining the typed part
+ */
+function updateHintMarkers() {
+  hintTargets.forEach(target => {
+    const matches = target.label.startsWith(hintTypedText);
+    target.marker.style.display = matches ? '' : 'none';
+    target.marker.textContent = '';
+
+    if (matches && hintTypedText) {
+      const typedPart = document.createElement('span');
+      typedPart.className = 'easynav-hint-typed';
+      typedPart.textContent = hintTypedText;
+      target.marker.appendChild(typedPart);
+    }
+    target.marker.appendChild(document.createTextNode(matches ? target.label.slice(hintTypedText.length) : target.label));
   });
 }
+
+/**
+ * Activate the element chosen in hint mode
+ * @param {Element} element - The chosen element
+ * @param {{newTab: boolean, focusOnly: boolean}} options - Open links in a new tab, or only move focus
+ */
+function activateHintTarget(element, { newTab, focusOnly }) {
+  const description = describeElement(element);
+
+  if (focusOnly) {
+    makeElementFocusableAndFocus(element, `Hint mode - focus ${description}`);
+    announce(description);
+    return;
+  }
+
+  if (newTab && element.matches('a[href], area[href]')) {
+    window.open(element.href, '_blank', 'noopener');
+    if (DEBUG_FOCUS) {
+      console.log(`[EasyKeyNav] Hint mode - open in new tab: ${element.href}`);
+    }
+    announce(`Opened in new tab: ${description}`);
+    return;
+  }
+
+  makeElementFocusableAndFocus(element, `Hint mode - activate ${description}`);
+
+  // Clicking a text field only focuses it, so don't fire a click that could select text or open pickers
+  const isTextEntry = element.isContentEditable ||
+    element.matches('textarea, select, [role="textbox"], [role="searchbox"]') ||
+    (element.tagName === 'INPUT' && !BUTTON_INPUT_TYPES.includes(element.type) && !['checkbox', 'radio', 'file', 'color'].includes(element.type));
+
+  if (!isTextEntry) {
+    element.click();
+  }
+}
@@ -0,0 +1,343 @@
+// Keyboard shortcut definitions for EasyKeyNav
+// Loaded as a plain script by both the content script and the options page, so everything
+// here is a global. Keep this file free of DOM and chrome.* calls.
+
+/**
+ * A binding is { key, ctrl, alt, shift }:
+ * - key: a single character, lowercase for letters (e.g. "h", "1", ";", "/")
+ * - ctrl: Ctrl on Windows/Linux, Command on Mac
+ * - alt: Alt on Windows/Linux, Option on Mac
+ * - shift: Shift (letters and numbers only; for punctuation the character already says
+ *   whether Shift was needed, which varies between keyboard layouts)
+ * A command whose binding is null is turned off.
+ *
+ * Range commands (headingLevel, tabStops) are bound to a set of number keys. Their binding
+ * only holds modifiers; adding Shift to those modifiers runs the command in reverse.
+ *
+ * Commands marked "anywhere" also work while typing in form fields, as long as their
+ * binding uses Ctrl/Command or Alt/Option so typing is never interrupted.
+ *
+ * This is the one list of commands. The content script dispatches key presses and builds its
+ * help dialog from it (each id needs a handler in COMMAND_HANDLERS in content.js), and the
+ * options page builds its shortcut tables from it. Groups appear in the order listed here.
+ */
+const EASYNAV_COMMANDS = [
+  { id: 'nextHeading', group: 'Headings', description: 'Next heading', defaultBinding: { key: 'h' } },
+  { id: 'previousHeading', group: 'Headings', description: 'Previous heading', defaultBinding: { key: 'h', shift: true } },
+  { id: 'headingLevel', group: 'Headings', description: 'Next heading of level 1-6 (add Shift for previous)', range: '1-6', defaultBinding: { key: '1' } },
+  { id: 'nextSiblingHeading', group: 'Headings', description: 'Next heading at the same level', defaultBinding: { key: 's' } },
+  { id: 'previousSiblingHeading', group: 'Headings', description: 'Previous heading at the same level', defaultBinding: { key: 's', shift: true } },
+  { id: 'parentHeading', group: 'Headings', description: 'Parent heading', defaultBinding: { key: 'p' } },
+  { id: 'nextLandmark', group: 'Landmarks', description: 'Next landmark', defaultBinding: { key: 'l' } },
+  { id: 'previousLandmark', group: 'Landmarks', description: 'Previous landmark', defaultBinding: { key: 'l', shift: true } },
+  { id: 'mainContent', group: 'Landmarks', description: 'Go to main content', defaultBinding: { key: 'm' } },
+  { id: 'navigation', group: 'Landmarks', description: 'Go to navigation', defaultBinding: { key: 'n' } },
+  { id: 'nextLink', group: 'Links', description: 'Next link', defaultBinding: { key: 'k' } },
+  { id: 'previousLink', group: 'Links', description: 'Previous link', defaultBinding: { key: 'k', shift: true } },
+  { id: 'nextInPageLink', group: 'Links', description: 'Next in-page link', defaultBinding: { key: 'u' } },
+  { id: 'previousInPageLink', group: 'Links', description: 'Previous in-page link', defaultBinding: { key: 'u', shift: true } },
+  { id: 'nextExternalLink', group: 'Links', description: 'Next external link', defaultBinding: { key: 'v' } },
+  { id: 'previousExternalLink', group: 'Links', description: 'Previous external link', defaultBinding: { key: 'v', shift: true } },
+  { id: 'nextFormField', group: 'Forms', description: 'Next form field', defaultBinding: { key: 'f' } },
+  { id: 'previousFormField', group: 'Forms', description: 'Previous form field', defaultBinding: { key: 'f', shift: true } },
+  { id: 'nextButton', group: 'Forms', description: 'Next button', defaultBinding: { key: 'b' } },
+  { id: 'previousButton', group: 'Forms', description: 'Previous button', defaultBinding: { key: 'b', shift: true } },
+  { id: 'nextEditField', group: 'Forms', description: 'Next edit field', defaultBinding: { key: 'e' } },
+  { id: 'previousEditField', group: 'Forms', description: 'Previous edit field', defaultBinding: { key: 'e', shift: true } },
+  { id: 'tabStops', group: 'Quick Tab Navigation', description: 'Tab forward 1-9 times, 0 for 10 (add Shift to go backward)', range: '0-9', defaultBinding: { key: '1', alt: true } },
+  { id: 'focusBack', group: 'Focus History', description: 'Go back to where focus was before the last jump', defaultBinding: { key: '[' } },
+  { id: 'focusForward', group: 'Focus History', description: 'Go forward again in the focus history', defaultBinding: { key: ']' } },
+  { id: 'setMark', group: 'Marks', description: 'Set a mark on the focused element (then press a letter)', defaultBinding: { key: 'm', shift: true } },
+  { id: 'jumpToMark', group: 'Marks', description: 'Jump to a mark (then press its letter)', defaultBinding: { key: "'" } },
+  { id: 'marksList', group: 'Marks', description: 'List the marks on this page', anywhere: true, defaultBinding: { key: 'b', alt: true, shift: true } },
+  { id: 'scrollDown', group: 'Scrolling', description: 'Scroll down a little', defaultBinding: { key: 'j' } },
+  { id: 'scrollUp', group: 'Scrolling', description: 'Scroll up a little', defaultBinding: { key: 'j', shift: true } },
+  { id: 'scrollHalfPageDown', group: 'Scrolling', description: 'Scroll down half a page', defaultBinding: { key: 'd' } },
+  { id: 'scrollHalfPageUp', group: 'Scrolling', description: 'Scroll up half a page', defaultBinding: { key: 'd', shift: true } },
+  { id: 'scrollToTop', group: 'Scrolling', description: 'Scroll to the top', defaultBinding: { key: 'g' } },
+  { id: 'scrollToBottom', group: 'Scrolling', description: 'Scroll to the bottom', defaultBinding: { key: 'g', shift: true } },
+  { id: 'nextScrollRegion', group: 'Scrolling', description: 'Next scrollable region', defaultBinding: { key: 'c' } },
+  { id: 'previousScrollRegion', group: 'Scrolling', description: 'Previous scrollable region', defaultBinding: { key: 'c', shift: true } },
+  { id: 'hintMode', group: 'Hint Mode', description: 'Show letter hints on clickable elements', defaultBinding: { key: ';' } },
+  { id: 'find', group: 'Find', description: 'Find an element by its text and move focus to it', defaultBinding: { key: '/' } },
+  { id: 'commandPalette', group: 'Dialogs', description: 'Open the command palette', anywhere: true, defaultBinding: { key: 'p', alt: true, shift: true } },
+  { id: 'elementsList', group: 'Dialogs', description: 'Open the Elements List', anywhere: true, defaultBinding: { key: 'e', alt: true, shift: true } },
+  { id: 'auditPage', group: 'Dialogs', description: 'Audit the headings and landmarks on this page', anywhere: true, defaultBinding: { key: 'a', alt: true, shift: true } },
+  { id: 'help', group: 'Dialogs', description: 'Toggle the keyboard shortcuts help', anywhere: true, defaultBinding: { key: '/', ctrl: true } }
+];
+
+/**
+ * Find a command definition by id
+ * @param {string} commandId - The command id
+ * @returns {Object|undefined} - The command definition
+ */
+function getCommandDefinition(commandId) {
+  return EASYNAV_COMMANDS.find(command => command.id === commandId);
+}
+
+/**
+ * Group the commands for display
+ * @returns {Array<{name: string, commands: Array<Object>}>} - Groups in the order they first appear in EASYNAV_COMMANDS
+ */
+function getCommandGroups() {
+  const groups = [];
+  EASYNAV_COMMANDS.forEach(command => {
+    let group = groups.find(candidate => candidate.name === command.group);
+    if (!group) {
+      group = { name: command.group, commands: [] };
+      groups.push(group);
+    }
+    group.commands.push(command);
+  });
+  return groups;
+}
+
+/**
+ * Normalize a binding so every modifier is a boolean
+ * @param {Object|null} binding - A binding, possibly with missing modifiers
+ * @returns {Object|null} - The normalized binding, or null if it is turned off
+ */
+function normalizeBinding(binding) {
+  if (!binding || typeof binding.key !== 'string' || binding.key.length !== 1) {
+    return null;
+  }
+
+  const key = binding.key.toLowerCase();
+  return {
+    key: key,
+    ctrl: binding.ctrl === true,
+    alt: binding.alt === true,
+    shift: binding.shift === true && usesShift(key)
+  };
+}
+
+/**
+ * Check whether Shift is part of a binding for a key
+ * @param {string} key - A binding key
+ * @returns {boolean} - True for letters and numbers, false for punctuation
+ */
+function usesShift(key) {
+  return /^[a-z0-9]$/.test(key);
+}
+
+/**
+ * Combine the user's stored bindings with the defaults
+ * Only changed bindings are stored, so new commands pick up their defaults automatically.
+ * @param {Object} [storedBindings] - Command id to binding (null means turned off)
+ * @param {string} [legacyHintModeKey] - Hint mode key saved by versions before the options page
+ * @returns {Object} - Command id to normalized binding or null
+ */
+function resolveKeyBindings(storedBindings, legacyHintModeKey) {
+  const stored = storedBindings && typeof storedBindings === 'object' ? storedBindings : {};
+  const bindings = {};
+
+  EASYNAV_COMMANDS.forEach(command => {
+    if (Object.prototype.hasOwnProperty.call(stored, command.id)) {
+      bindings[command.id] = normalizeBinding(stored[command.id]);
+    } else if (command.id === 'hintMode' && typeof legacyHintModeKey === 'string' && legacyHintModeKey.length === 1) {
+      bindings[command.id] = normalizeBinding({ key: legacyHintModeKey });
+    } else {
+      bindings[command.id] = normalizeBinding(command.defaultBinding);
+    }
+  });
+
+  return bindings;
+}
+
+/**
+ * Get the key name used for bindings from a keyboard event
+ * Letters use the typed character so bindings follow the user's keyboard layout. Digits, and
+ * letters typed with Option on Mac, use the physical key because Shift and Option change the character.
+ * @param {KeyboardEvent} event - The keyboard event
+ * @returns {string} - e.g. "h", "1", ";" or a named key such as "Enter"
+ */
+function getBindingKeyFromEvent(event) {
+  if (/^[a-z]$/i.test(event.key)) {
+    return event.key.toLowerCase();
+  }
+
+  const codeMatch = /^(?:Key([A-Z])|Digit([0-9])|Numpad([0-9]))$/.exec(event.code || '');
+  if (codeMatch) {
+    return (codeMatch[1] || codeMatch[2] || codeMatch[3]).toLowerCase();
+  }
+
+  return event.key;
+}
+
+/**
+ * Check whether the modifiers held in a keyboard event match a binding
+ * @param {KeyboardEvent} event - The keyboard event
+ * @param {Object} binding - A normalized binding
+ * @param {boolean} isMac - Whether Command (rather than Ctrl) is the primary modifier
+ * @param {boolean} ignoreShift - Whether to accept the event with or without Shift
+ * @returns {boolean} - True if the modifiers match
+ */
+function modifiersMatchBinding(event, binding, isMac, ignoreShift) {
+  const primary = isMac ? event.metaKey : event.ctrlKey;
+  const other = isMac ? event.ctrlKey : event.metaKey;
+
+  return !other &&
+         primary === binding.ctrl &&
+         event.altKey === binding.alt &&
+         (ignoreShift || event.shiftKey === binding.shift);
+}
+
+/**
+ * Check whether a keyboard event triggers a (non-range) binding
+ * @param {KeyboardEvent} event - The keyboard event
+ * @param {Object|null} binding - A normalized binding
+ * @param {boolean} isMac - Whether Command (rather than Ctrl) is the primary modifier
+ * @returns {boolean} - True if the event matches
+ */
+function eventMatchesBinding(event, binding, isMac) {
+  return !!binding &&
+         modifiersMatchBinding(event, binding, isMac, !usesShift(binding.key)) &&
+         getBindingKeyFromEvent(event) === binding.key;
+}
+
+/**
+ * Get the number key pressed for a range binding
+ * @param {KeyboardEvent} event - The keyboard event
+ * @param {Object|null} binding - A normalized binding for a range command
+ * @param {string} range - The range of number keys, e.g. "1-6"
+ * @param {boolean} isMac - Whether Command (rather than Ctrl) is the primary modifier
+ * @returns {{digit: number, reverse: boolean}|null} - The number and whether Shift was held, or null
+ */
+function matchRangeBinding(event, binding, range, isMac) {
+  if (!binding || !modifiersMatchBinding(event, binding, isMac, true)) {
+    return null;
+  }
+
+  const key = getBindingKeyFromEvent(event);
+  if (!/^[0-9]$/.test(key) || !getRangeDigits(range).includes(key)) {
+    return null;
+  }
+
+  return { digit: parseInt(key), reverse: event.shiftKey };
+}
+
+/**
+ * List the number keys in a range
+ * @param {string} range - e.g. "1-6" or "0-9"
+ * @returns {Array<string>} - e.g. ["1", "2", "3", "4", "5", "6"]
+ */
+function getRangeDigits(range) {
+  const [first, last] = range.split('-').map(Number);
+  const digits = [];
+  for (let digit = first; digit <= last; digit++) {
+    digits.push(String(digit));
+  }
+  return digits;
+}
+
+/**
+ * Format a binding for display, e.g. "h", "Shift+H", "Alt+Shift+E" or "Cmd+/"
+ * @param {Object|null} binding - A normalized binding
+ * @param {boolean} isMac - Whether to use Mac key names
+ * @param {string} [keyLabel] - Text to show instead of the key, e.g. "1-6" for range commands
+ * @returns {string} - The formatted shortcut, or "Off" if the binding is turned off
+ */
+function formatBinding(binding, isMac, keyLabel) {
+  if (!binding) {
+    return 'Off';
+  }
+
+  const parts = [];
+  if (binding.ctrl) {
+    parts.push(isMac ? 'Cmd' : 'Ctrl');
+  }
+  if (binding.alt) {
+    parts.push(isMac ? 'Option' : 'Alt');
+  }
+  if (binding.shift) {
+    parts.push('Shift');
+  }
+
+  // Bare letters are shown lowercase (h); with a modifier they are shown like the key cap (Shift+H)
+  const key = keyLabel || binding.key;
+  parts.push(parts.length > 0 ? key.toUpperCase() : key);
+  return parts.join('+');
+}
+
+/**
+ * Get every key combination a command listens for
+ * @param {Object} command - The command definition
+ * @param {Object|null} binding - The command's normalized binding
+ * @returns {Array<string>} - Combination ids such as "ctrl:0,alt:1,shift:0,key:e"
+ */
+function getBindingCombinations(command, binding) {
+  if (!binding) {
+    return [];
+  }
+
+  const combination = (key, shift) => `ctrl:${binding.ctrl ? 1 : 0},alt:${binding.alt ? 1 : 0},shift:${shift ? 1 : 0},key:${key}`;
+
+  if (command.range) {
+    // Range commands listen for their number keys with and without Shift
+    const combinations = [];
+    getRangeDigits(command.range).forEach(digit => {
+      combinations.push(combination(digit, false), combination(digit, true));
+    });
+    return combinations;
+  }
+
+  return [combination(binding.key, binding.shift)];
+}
+
+/**
+ * Find commands whose bindings share a key combination
+ * @param {Object} bindings - Command id to normalized binding or null
+ * @returns {Object} - Command id to the ids of the commands it conflicts with (only commands with conflicts)
+ */
+function findBindingConflicts(bindings) {
+  const owners = {};
+  EASYNAV_COMMANDS.forEach(command => {
+    getBindingCombinations(command, bindings[command.id]).forEach(combination => {
+      owners[combination] = owners[combination] || [];
+      if (!owners[combination].includes(command.id)) {
+        owners[combination].push(command.id);
+      }
+    });
+  });
+
+  const conflicts = {};
+  Object.values(owners).forEach(commandIds => {
+    if (commandIds.length < 2) {
+      return;
+    }
+    commandIds.forEach(commandId => {
+      conflicts[commandId] = conflicts[commandId] || [];
+      commandIds.forEach(otherId => {
+        if (otherId !== commandId && !conflicts[commandId].includes(otherId)) {
+          conflicts[commandId].push(otherId);
+        }
+      });
+    });
+  });
+
+  return conflicts;
+}
+
+/**
+ * Check that a binding can be used for a command
+ * @param {Object} command - The command definition
+ * @param {Object} binding - A normalized binding
+ * @returns {string} - A problem to show the user, or an empty string if the binding is valid
+ */
+function validateBinding(command, binding) {
+  if (command.range) {
+    if (!/^[0-9]$/.test(binding.key)) {
+      return 'Press a number key together with the modifiers you want to use.';
+    }
+    if (binding.shift) {
+      return 'Shift is used to go backward, so choose Ctrl, Alt or no modifier.';
+    }
+    return '';
+  }
+
+  if (binding.key.length !== 1 || binding.key === ' ') {
+    return 'Use a letter, number or punctuation key. Tab, Enter, Space, Escape and the arrow keys are needed for normal keyboard use.';
+  }
+
+  return '';
+}
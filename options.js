@@ -0,0 +1,512 @@
+// Options page for EasyKeyNav
+// Command definitions and binding helpers come from keybindings.js
+
+document.addEventListener('DOMContentLoaded', function() {
+  const isMac = (navigator.userAgentData?.platform || navigator.userAgent).toUpperCase().includes('MAC');
+  const groupsContainer = document.getElementById('shortcut-groups');
+  const statusMessage = document.getElementById('status-message');
+  const resetAllButton = document.getElementById('resetAllButton');
+
+  // Command id to normalized binding or null (turned off)
+  let bindings = resolveKeyBindings();
+  // Bindings as stored, and the hint mode key saved by versions before the options page, kept so
+  // changes synced from elsewhere resolve the same way as the initial load
+  let storedKeyBindings;
+  let legacyHintModeKey;
+  // Command id to its row elements
+  const rows = {};
+  // Command id whose Change button is waiting for a key press
+  let capturingCommandId = null;
+
+  buildShortcutTables();
+
+  // Load the current bindings
+  chrome.storage.sync.get(['keyBindings', 'hintModeKey'], function(result) {
+    storedKeyBindings = result.keyBindings;
+    legacyHintModeKey = result.hintModeKey;
+    bindings = resolveKeyBindings(storedKeyBindings, legacyHintModeKey);
+    updateAllRows();
+  });
+
+  resetAllButton.addEventListener('click', function() {
+    cancelCapture();
+    bindings = resolveKeyBindings();
+    saveBindings('All shortcuts reset to their defaults');
+    updateAllRows();
+  });
+
+  // Browser shortcuts (manifest.json "commands"), which only the browser can change
+  const browserShortcutsBody = document.getElementById('browser-shortcuts-body');
+
+  chrome.commands.getAll(function(commands) {
+    commands.forEach(function(command) {
+      const row = document.createElement('tr');
+      const name = document.createElement('th');
+      name.scope = 'row';
+      name.textContent = command.description;
+      const shortcutCell = document.createElement('td');
+      const keys = document.createElement('kbd');
+      keys.textContent = command.shortcut || 'Not set';
+      shortcutCell.appendChild(keys);
+      row.appendChild(name);
+      row.appendChild(shortcutCell);
+      browserShortcutsBody.appendChild(row);
+    });
+  });
+
+  document.getElementById('browserShortcutsButton').addEventListener('click', function() {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+
+  // Skip link menu targets
+  const skipLinkTargetsGroup = document.getElementById('skip-link-targets');
+  const skipLinksStatus = document.getElementById('skip-links-status');
+
+  SKIP_LINK_TARGETS.forEach(function(target) {
+    const option = document.createElement('label');
+    option.className = 'checkbox-option';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = target.id;
+    checkbox.addEventListener('change', saveSkipLinkTargets);
+    option.appendChild(checkbox);
+    option.appendChild(document.createTextNode(target.label));
+    skipLinkTargetsGroup.appendChild(option);
+  });
+
+  chrome.storage.sync.get(['skipLinkTargets'], function(result) {
+    renderSkipLinkTargets(result.skipLinkTargets);
+  });
+
+  // Site rules
+  const siteRulesTable = document.getElementById('site-rules-table');
+  const siteRulesBody = document.getElementById('site-rules-body');
+  const siteRulesEmpty = document.getElementById('site-rules-empty');
+  const siteRulesStatus = document.getElementById('site-rules-status');
+
+  chrome.storage.sync.get(['siteRules'], function(result) {
+    renderSiteRules(result.siteRules || {});
+  });
+
+  // Show changes made elsewhere (the popup, or this page open in another window)
+  chrome.storage.onChanged.addListener(function(changes, areaName) {
+    if (areaName !== 'sync') {
+      return;
+    }
+    if (changes.siteRules) {
+      renderSiteRules(changes.siteRules.newValue || {});
+    }
+    if (changes.keyBindings || changes.hintModeKey) {
+      if (changes.keyBindings) {
+        storedKeyBindings = changes.keyBindings.newValue;
+      }
+      if (changes.hintModeKey) {
+        legacyHintModeKey = changes.hintModeKey.newValue;
+      }
+      bindings = resolveKeyBindings(storedKeyBindings, legacyHintModeKey);
+      updateAllRows();
+    }
+    if (changes.skipLinkTargets) {
+      renderSkipLinkTargets(changes.skipLinkTargets.newValue);
+    }
+  });
+
+  /**
+   * Check the boxes of the skip link targets that are turned on
+   * @param {Array<string>} [stored] - Target ids as stored
+   */
+  function renderSkipLinkTargets(stored) {
+    const targetIds = resolveSkipLinkTargets(stored);
+    skipLinkTargetsGroup.querySelectorAll('input').forEach(function(checkbox) {
+      checkbox.checked = targetIds.includes(checkbox.value);
+    });
+  }
+
+  /**
+   * Save the checked skip link targets
+   */
+  function saveSkipLinkTargets() {
+    const targetIds = [...skipLinkTargetsGroup.querySelectorAll('input:checked')].map(checkbox => checkbox.value);
+
+    chrome.runtime.sendMessage(
+      { action: 'updateSettings', settings: { skipLinkTargets: targetIds } },
+      function(response) {
+        if (chrome.runtime.lastError || !response?.success) {
+          skipLinksStatus.textContent = 'Could not save skip links. Please try again.';
+          return;
+        }
+        skipLinksStatus.textContent = targetIds.length > 0 ? 'Skip links saved' : 'Skip links turned off';
+      }
+    );
+  }
+
+  /**
+   * List every site rule with a menu to change it and a button to remove it
+   * @param {Object} siteRules - Origin to mode
+   */
+  function renderSiteRules(siteRules) {
+    const origins = Object.keys(siteRules).sort();
+    const focusedId = siteRulesBody.contains(document.activeElement) ? document.activeElement.id : null;
+    siteRulesBody.textContent = '';
+    siteRulesTable.hidden = origins.length === 0;
+    siteRulesEmpty.hidden = origins.length > 0;
+
+    origins.forEach(function(origin) {
+      const row = document.createElement('tr');
+
+      const site = document.createElement('th');
+      site.scope = 'row';
+      site.id = `site-${origin}`;
+      site.textContent = origin;
+      row.appendChild(site);
+
+      const ruleCell = document.createElement('td');
+      const select = document.createElement('select');
+      select.id = `site-rule-${origin}`;
+      select.setAttribute('aria-labelledby', site.id);
+      SITE_MODES.filter(mode => mode.id !== 'default').forEach(function(mode) {
+        const option = document.createElement('option');
+        option.value = mode.id;
+        option.textContent = mode.label;
+        option.selected = mode.id === getSiteMode(siteRules, origin);
+        select.appendChild(option);
+      });
+      select.addEventListener('change', function() {
+        updateSiteRule(origin, select.value);
+      });
+      ruleCell.appendChild(select);
+      row.appendChild(ruleCell);
+
+      const actions = document.createElement('td');
+      actions.className = 'actions';
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'action-button';
+      removeButton.id = `remove-site-${origin}`;
+      removeButton.textContent = 'Remove';
+      removeButton.setAttribute('aria-labelledby', `${removeButton.id} ${site.id}`);
+      removeButton.addEventListener('click', function() {
+        updateSiteRule(origin, 'default');
+      });
+      actions.appendChild(removeButton);
+      row.appendChild(actions);
+
+      siteRulesBody.appendChild(row);
+    });
+
+    // Rules can change while the page is open (e.g. from the popup); keep focus where it was
+    if (focusedId && document.getElementById(focusedId)) {
+      document.getElementById(focusedId).focus();
+    }
+  }
+
+  /**
+   * Change or remove the rule for a site
+   * @param {string} origin - The site's origin
+   * @param {string} mode - The new mode; "default" removes the rule
+   */
+  function updateSiteRule(origin, mode) {
+    chrome.runtime.sendMessage(
+      { action: 'setSiteMode', origin: origin, mode: mode },
+      function(response) {
+        if (chrome.runtime.lastError || !response?.success) {
+          siteRulesStatus.textContent = `Could not save the rule for ${origin}. Please try again.`;
+          return;
+        }
+
+        if (mode === 'default') {
+          // The row is gone, so keep focus in the section rather than losing it to the page
+          renderSiteRules(response.siteRules);
+          const nextFocus = siteRulesBody.querySelector('select') || document.getElementById('site-rules-title');
+          if (!nextFocus.matches('select')) {
+            nextFocus.setAttribute('tabindex', '-1');
+          }
+          nextFocus.focus();
+          siteRulesStatus.textContent = `Rule for ${origin} removed`;
+        } else {
+          siteRulesStatus.textContent = `${origin}: ${getSiteModeLabel(mode)}`;
+        }
+      }
+    );
+  }
+
+  /**
+   * Build one table per command group, with Change, Turn Off and Reset buttons for each command
+   */
+  function buildShortcutTables() {
+    getCommandGroups().forEach(function(group, groupIndex) {
+      const heading = document.createElement('h3');
+      heading.id = `group-${groupIndex}`;
+      heading.textContent = group.name;
+      groupsContainer.appendChild(heading);
+
+      const table = document.createElement('table');
+      table.setAttribute('aria-labelledby', heading.id);
+      table.innerHTML = `
+        <thead>
+          <tr>
+            <th scope="col">Command</th>
+            <th scope="col">Shortcut</th>
+            <th scope="col"><span class="visually-hidden">Actions</span></th>
+          </tr>
+        </thead>
+      `;
+      const tbody = document.createElement('tbody');
+      table.appendChild(tbody);
+
+      group.commands.forEach(function(command) {
+        tbody.appendChild(buildRow(command));
+      });
+
+      groupsContainer.appendChild(table);
+    });
+  }
+
+  /**
+   * Build the table row for a command
+   * @param {Object} command - The command definition
+   * @returns {HTMLTableRowElement} - The row
+   */
+  function buildRow(command) {
+    const row = document.createElement('tr');
+
+    const name = document.createElement('th');
+    name.scope = 'row';
+    name.id = `command-${command.id}`;
+    name.textContent = command.description;
+    row.appendChild(name);
+
+    const shortcutCell = document.createElement('td');
+    const keys = document.createElement('kbd');
+    keys.id = `keys-${command.id}`;
+    const conflict = document.createElement('span');
+    conflict.id = `conflict-${command.id}`;
+    conflict.className = 'conflict';
+    shortcutCell.appendChild(keys);
+    shortcutCell.appendChild(conflict);
+    row.appendChild(shortcutCell);
+
+    const actions = document.createElement('td');
+    actions.className = 'actions';
+    const changeButton = createActionButton('Change', command);
+    const offButton = createActionButton('Turn Off', command);
+    const resetButton = createActionButton('Reset', command);
+    actions.appendChild(changeButton);
+    actions.appendChild(offButton);
+    actions.appendChild(resetButton);
+    row.appendChild(actions);
+
+    changeButton.addEventListener('click', function() {
+      if (capturingCommandId === command.id) {
+        cancelCapture();
+        return;
+      }
+      startCapture(command.id);
+    });
+
+    changeButton.addEventListener('keydown', function(event) {
+      if (capturingCommandId === command.id) {
+        handleCaptureKey(event, command);
+      }
+    });
+
+    // Leaving the button (e.g. with Tab) cancels the change
+    changeButton.addEventListener('blur', function() {
+      if (capturingCommandId === command.id) {
+        cancelCapture();
+      }
+    });
+
+    offButton.addEventListener('click', function() {
+      cancelCapture();
+      bindings[command.id] = null;
+      saveBindings(`${command.description} turned off`);
+      updateAllRows();
+    });
+
+    resetButton.addEventListener('click', function() {
+      cancelCapture();
+      const defaultBinding = normalizeBinding(command.defaultBinding);
+      const conflicts = getConflictsFor(command.id, defaultBinding);
+      if (conflicts.length > 0) {
+        statusMessage.textContent = `The default shortcut ${formatCommandBinding(command, defaultBinding)} is already used by ${conflicts.join(', ')}. Change that shortcut first.`;
+        return;
+      }
+      bindings[command.id] = defaultBinding;
+      saveBindings(`${command.description} reset to ${formatCommandBinding(command, defaultBinding)}`);
+      updateAllRows();
+    });
+
+    rows[command.id] = { keys: keys, conflict: conflict, changeButton: changeButton };
+    return row;
+  }
+
+  /**
+   * Create an action button labelled with the command it acts on
+   * @param {string} label - Visible button text
+   * @param {Object} command - The command definition
+   * @returns {HTMLButtonElement} - The button
+   */
+  function createActionButton(label, command) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'action-button';
+    button.id = `${label.replace(/\s/g, '')}-${command.id}`;
+    button.textContent = label;
+    // e.g. "Change Next heading", with the current shortcut as the description
+    button.setAttribute('aria-labelledby', `${button.id} command-${command.id}`);
+    button.setAttribute('aria-describedby', `keys-${command.id} conflict-${command.id}`);
+    return button;
+  }
+
+  /**
+   * Format a command's binding, including the number keys for range commands
+   * @param {Object} command - The command definition
+   * @param {Object|null} binding - A normalized binding
+   * @returns {string} - e.g. "Shift+H", "Alt+0-9" or "Off"
+   */
+  function formatCommandBinding(command, binding) {
+    return formatBinding(binding, isMac, command.range);
+  }
+
+  /**
+   * Get the descriptions of commands that would clash with a binding
+   * @param {string} commandId - The command being changed
+   * @param {Object|null} binding - The proposed binding
+   * @returns {Array<string>} - Descriptions of the clashing commands
+   */
+  function getConflictsFor(commandId, binding) {
+    const proposed = Object.assign({}, bindings, { [commandId]: binding });
+    const conflicts = findBindingConflicts(proposed)[commandId] || [];
+    return conflicts.map(id => getCommandDefinition(id).description);
+  }
+
+  /**
+   * Show every command's current binding, and any clashes left over from older settings
+   */
+  function updateAllRows() {
+    const conflicts = findBindingConflicts(bindings);
+
+    EASYNAV_COMMANDS.forEach(function(command) {
+      const row = rows[command.id];
+      const binding = bindings[command.id];
+      row.keys.textContent = formatCommandBinding(command, binding);
+
+      const clashes = (conflicts[command.id] || []).map(id => getCommandDefinition(id).description);
+      row.conflict.textContent = clashes.length > 0 ? `Also used by ${clashes.join(', ')}` : '';
+    });
+  }
+
+  /**
+   * Wait for the user to press a new shortcut for a command
+   * @param {string} commandId - The command to change
+   */
+  function startCapture(commandId) {
+    cancelCapture();
+    capturingCommandId = commandId;
+
+    const command = getCommandDefinition(commandId);
+    const button = rows[commandId].changeButton;
+    button.textContent = 'Press keys…';
+    button.setAttribute('aria-pressed', 'true');
+    statusMessage.textContent = command.range
+      ? `Press a number key with the modifiers to use for ${command.description}, or Escape to cancel`
+      : `Press the new shortcut for ${command.description}, or Escape to cancel`;
+  }
+
+  /**
+   * Stop waiting for a key press, leaving the binding unchanged
+   */
+  function cancelCapture() {
+    if (!capturingCommandId) {
+      return;
+    }
+
+    const button = rows[capturingCommandId].changeButton;
+    button.textContent = 'Change';
+    button.removeAttribute('aria-pressed');
+    capturingCommandId = null;
+  }
+
+  /**
+   * Record a key press as a command's new binding
+   * @param {KeyboardEvent} event - The keyboard event
+   * @param {Object} command - The command definition
+   */
+  function handleCaptureKey(event, command) {
+    // Wait for the actual key when only a modifier is pressed
+    if (['Shift', 'Control', 'Alt', 'Meta', 'CapsLock'].includes(event.key)) {
+      return;
+    }
+
+    // Let Tab move focus as usual (blur cancels the change)
+    if (event.key === 'Tab') {
+      return;
+    }
+
+    event.preventDefault();
+
+    if (event.key === 'Escape') {
+      cancelCapture();
+      statusMessage.textContent = `${command.description} not changed`;
+      return;
+    }
+
+    // Ctrl on Mac is not used, so Control+Click and system shortcuts keep working
+    if (isMac && event.ctrlKey) {
+      statusMessage.textContent = 'Use Command, Option or Shift as modifiers on Mac.';
+      return;
+    }
+
+    const key = getBindingKeyFromEvent(event);
+    const binding = normalizeBinding({
+      key: key,
+      ctrl: isMac ? event.metaKey : event.ctrlKey,
+      alt: event.altKey,
+      shift: event.shiftKey
+    });
+
+    const problem = binding ? validateBinding(command, binding) : validateBinding(command, { key: key });
+    if (problem) {
+      statusMessage.textContent = problem;
+      return;
+    }
+
+    const conflicts = getConflictsFor(command.id, binding);
+    if (conflicts.length > 0) {
+      statusMessage.textContent = `${formatCommandBinding(command, binding)} is already used by ${conflicts.join(', ')}. Press a different shortcut, or Escape to cancel.`;
+      return;
+    }
+
+    cancelCapture();
+    bindings[command.id] = binding;
+    saveBindings(`${command.description} set to ${formatCommandBinding(command, binding)}`);
+    updateAllRows();
+  }
+
+  /**
+   * Save the bindings that differ from the defaults
+   * @param {string} message - Status message to show once saved
+   */
+  function saveBindings(message) {
+    const changed = {};
+    EASYNAV_COMMANDS.forEach(function(command) {
+      const binding = bindings[command.id];
+      const defaultBinding = normalizeBinding(command.defaultBinding);
+      if (JSON.stringify(binding) !== JSON.stringify(defaultBinding)) {
+        changed[command.id] = binding;
+      }
+    });
+
+    chrome.runtime.sendMessage(
+      { action: 'updateSettings', settings: { keyBindings: changed } },
+      function(response) {
+        if (chrome.runtime.lastError || !response?.success) {
+          statusMessage.textContent = 'Could not save shortcuts. Please try again.';
+          return;
+        }
+        statusMessage.textContent = message;
+      }
+    );
+  }
+});
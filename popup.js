@@ -8,32 +8,92 @@ document.addEventListener('DOMContentLoaded', function() {
   });
 
   // Handle toggle button click
+  // The background service worker saves the change, and every open tab picks it up from storage
   toggleButton.addEventListener('click', function() {
     chrome.storage.sync.get(['enabled'], function(result) {
       const newState = !(result.enabled !== false);
-      chrome.storage.sync.set({ enabled: newState }, function() {
-        updateButtonState(newState);
-        announceStateChange(newState);
-
-        // Send message to content script
-        chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
-          if (tabs[0]?.id) {
-            chrome.tabs.sendMessage(
-              tabs[0].id,
-              { action: 'toggle', enabled: newState },
-              function() {
-                // Handle any errors silently (content script may not be loaded on some pages)
-                if (chrome.runtime.lastError) {
-                  console.log('Could not send message to content script:', chrome.runtime.lastError.message);
-                }
-              }
-            );
+      chrome.runtime.sendMessage(
+        { action: 'updateSettings', settings: { enabled: newState } },
+        function(response) {
+          if (chrome.runtime.lastError || !response?.success) {
+            statusMessage.textContent = 'Could not change keyboard navigation. Please try again.';
+            return;
           }
+          updateButtonState(newState);
+          announceStateChange(newState);
+        }
+      );
+    });
+  });
+
+  // Rule for the site in the current tab
+  const siteRuleFieldset = document.getElementById('siteRule');
+  const siteRuleUnavailable = document.getElementById('siteRuleUnavailable');
+  const siteName = document.getElementById('siteName');
+  const siteModeOptions = document.getElementById('siteModeOptions');
+
+  chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
+    const tab = tabs[0];
+    const origin = tab?.url ? getSiteRuleOrigin(tab.url) : null;
+
+    // chrome:// pages, the Web Store, local files, etc.
+    if (!origin) {
+      siteRuleUnavailable.hidden = false;
+      return;
+    }
+
+    const host = new URL(origin).host;
+    siteName.textContent = host;
+
+    chrome.storage.sync.get(['siteRules'], function(result) {
+      const currentMode = getSiteMode(result.siteRules, origin);
+
+      SITE_MODES.forEach(function(mode) {
+        const option = document.createElement('div');
+        option.className = 'radio-option';
+
+        const input = document.createElement('input');
+        input.type = 'radio';
+        input.name = 'siteMode';
+        input.id = `siteMode-${mode.id}`;
+        input.value = mode.id;
+        input.checked = mode.id === currentMode;
+        input.addEventListener('change', function() {
+          saveSiteMode(origin, host, mode.id);
         });
+
+        const label = document.createElement('label');
+        label.htmlFor = input.id;
+        label.textContent = mode.label;
+
+        option.appendChild(input);
+        option.appendChild(label);
+        siteModeOptions.appendChild(option);
       });
+
+      siteRuleFieldset.hidden = false;
     });
   });
 
+  function saveSiteMode(origin, host, mode) {
+    chrome.runtime.sendMessage(
+      { action: 'setSiteMode', origin: origin, mode: mode },
+      function(response) {
+        if (chrome.runtime.lastError || !response?.success) {
+          statusMessage.textContent = `Could not change the rule for ${host}. Please try again.`;
+          return;
+        }
+        statusMessage.textContent = `${host}: ${getSiteModeLabel(mode)}`;
+      }
+    );
+  }
+
+  // Open the options page to change keyboard shortcuts
+  const shortcutsButton = document.getElementById('shortcutsButton');
+  shortcutsButton.addEventListener('click', function() {
+    chrome.runtime.openOptionsPage();
+  });
+
   function updateButtonState(enabled) {
     // Update button text
     toggleButton.textContent = enabled ? 'Disable Extension' : 'Enable Extension';
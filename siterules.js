@@ -0,0 +1,89 @@
+// Per-site rules for EasyKeyNav
+// Loaded as a plain script by the content script, the popup and the options page, so everything
+// here is a global. Keep this file free of DOM and chrome.* calls.
+
+/**
+ * Site modes, stored in chrome.storage.sync as siteRules: { [origin]: mode }
+ * A site without a rule follows the main on/off switch.
+ * - enabled: EasyKeyNav runs on the site even when the main switch is off
+ * - disabled: EasyKeyNav never runs on the site
+ * - modifierOnly: EasyKeyNav runs, but only shortcuts that use Ctrl/Cmd or Alt/Option work,
+ *   so sites with their own single-key shortcuts (h, j, k, ...) keep them
+ */
+const SITE_MODES = [
+  { id: 'default', label: 'Follow the main switch' },
+  { id: 'enabled', label: 'Always on' },
+  { id: 'disabled', label: 'Off' },
+  { id: 'modifierOnly', label: 'Only shortcuts with Ctrl, Cmd, Alt or Option' }
+];
+
+/**
+ * Get the origin that site rules are stored under
+ * @param {string} url - A page URL
+ * @returns {string|null} - e.g. "https://mail.google.com", or null for pages that can't have rules (chrome://, file://, ...)
+ */
+function getSiteRuleOrigin(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.origin : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the mode for a site
+ * @param {Object} [siteRules] - Origin to mode, as stored
+ * @param {string|null} origin - The site's origin
+ * @returns {string} - One of the SITE_MODES ids
+ */
+function getSiteMode(siteRules, origin) {
+  const mode = siteRules && origin ? siteRules[origin] : undefined;
+  return SITE_MODES.some(siteMode => siteMode.id === mode) ? mode : 'default';
+}
+
+/**
+ * Check whether EasyKeyNav should run on a site
+ * @param {boolean} globalEnabled - The main on/off switch
+ * @param {string} siteMode - The site's mode
+ * @returns {boolean} - True if keyboard navigation should be active
+ */
+function isEnabledForSite(globalEnabled, siteMode) {
+  if (siteMode === 'enabled' || siteMode === 'modifierOnly') {
+    return true;
+  }
+  if (siteMode === 'disabled') {
+    return false;
+  }
+  return globalEnabled;
+}
+
+/**
+ * Turn off bindings that a site's mode doesn't allow
+ * @param {Object} bindings - Command id to normalized binding or null (see keybindings.js)
+ * @param {string} siteMode - The site's mode
+ * @returns {Object} - The bindings to use on the site
+ */
+function applySiteModeToBindings(bindings, siteMode) {
+  if (siteMode !== 'modifierOnly') {
+    return bindings;
+  }
+
+  const siteBindings = {};
+  Object.keys(bindings).forEach(commandId => {
+    const binding = bindings[commandId];
+    // Shift alone doesn't count: Shift+H is still a character key
+    siteBindings[commandId] = binding && (binding.ctrl || binding.alt) ? binding : null;
+  });
+  return siteBindings;
+}
+
+/**
+ * Get the label for a site mode
+ * @param {string} siteMode - One of the SITE_MODES ids
+ * @returns {string} - e.g. "Always on"
+ */
+function getSiteModeLabel(siteMode) {
+  const mode = SITE_MODES.find(candidate => candidate.id === siteMode);
+  return mode ? mode.label : SITE_MODES[0].label;
+}
@@ -0,0 +1,29 @@
+// Skip link menu targets for EasyKeyNav
+// Loaded as a plain script by the content script and the options page, so everything here is
+// a global. Keep this file free of DOM and chrome.* calls.
+
+/**
+ * Kinds of target the skip link menu can offer, in menu order.
+ * Stored in chrome.storage.sync as skipLinkTargets: the ids the user has turned on.
+ * Each kind is listed once: "landmarks" leaves out the main, search and footer landmarks,
+ * which have their own links.
+ */
+const SKIP_LINK_TARGETS = [
+  { id: 'main', label: 'Main content' },
+  { id: 'heading', label: 'Main heading (the page title)' },
+  { id: 'search', label: 'Search field' },
+  { id: 'landmarks', label: 'Other landmarks, such as navigation, sidebars and labeled regions' },
+  { id: 'footer', label: 'Footer' }
+];
+
+/**
+ * Get the skip link targets to show
+ * @param {Array<string>} [stored] - Target ids as stored (undefined means all of them)
+ * @returns {Array<string>} - Known target ids, in menu order
+ */
+function resolveSkipLinkTargets(stored) {
+  if (!Array.isArray(stored)) {
+    return SKIP_LINK_TARGETS.map(target => target.id);
+  }
+  return SKIP_LINK_TARGETS.map(target => target.id).filter(id => stored.includes(id));
+}